@@ -1,5 +1,9 @@
 // api/queue-consumer.js
-import { EmailValidationService } from '../../src/services/email-validator.js';
+import { EmailValidationService } from '../src/services/email-validator.js';
+import { WebhookQueueService } from '../src/services/webhook-queue.js';
+import { processQueuedWebhookEvent } from './webhooks/hubspot.js';
+import { processQueuedRevalidation } from './validate/email.js';
+import crypto from 'crypto';
 import dotenv from 'dotenv';
 
 // Load environment variables
@@ -13,6 +17,7 @@ const config = {
   zeroBounceMaxRetries: parseInt(process.env.ZERO_BOUNCE_MAX_RETRIES || '1', 10),
   removeGmailAliases: true,
   checkAustralianTlds: true,
+  region: process.env.DEFAULT_REGION || undefined,
   useSupabase: true, // Always enable for background processor
   supabase: {
     url: process.env.SUPABASE_URL || 'https://noxlrexfrmakvnfqhxfx.supabase.co',
@@ -35,6 +40,15 @@ const config = {
       }
     }
   },
+  // Reuse windows for results stored in email_validations, per status
+  storedResults: {
+    ttlDays: {
+      valid: parseFloat(process.env.STORED_VALID_TTL_DAYS || '7'),
+      invalid: parseFloat(process.env.STORED_INVALID_TTL_DAYS || '30'),
+      unknown: parseFloat(process.env.STORED_UNKNOWN_TTL_DAYS || '3'),
+      check_failed: parseFloat(process.env.STORED_CHECK_FAILED_TTL_DAYS || '1')
+    }
+  },
   clientId: process.env.CLIENT_ID || '00001',
   umessyVersion: process.env.UMESSY_VERSION || '100',
   // Much longer timeouts for background processing
@@ -42,13 +56,183 @@ const config = {
     supabase: 20000,        // 20 seconds for Supabase operations
     zeroBounce: 10000,      // 10 seconds for ZeroBounce operations
     zeroBounceRetry: 15000, // 15 seconds for ZeroBounce retry operations
-    validation: 25000       // 25 seconds for overall validation
-  }
+    validation: 25000,      // 25 seconds for overall validation
+    webhook: 20000          // 20 seconds per queued webhook event
+  },
+  // Durable webhook queue settings
+  webhookQueue: {
+    maxAttempts: parseInt(process.env.WEBHOOK_QUEUE_MAX_ATTEMPTS || '5', 10),
+    baseBackoffMs: parseInt(process.env.WEBHOOK_QUEUE_BASE_BACKOFF_MS || '30000', 10),
+    batchSize: parseInt(process.env.WEBHOOK_QUEUE_BATCH_SIZE || '5', 10),
+    // Stop claiming new items once this much of the invocation has elapsed
+    drainBudgetMs: parseInt(process.env.WEBHOOK_QUEUE_DRAIN_BUDGET_MS || '8000', 10)
+  },
+  // Shared secret for the cron trigger and operator endpoints
+  consumerSecret: process.env.CRON_SECRET || ''
 };
 
 // Initialize the validator
 const emailValidator = new EmailValidationService(config);
 
+// Initialize the webhook queue on the validator's Supabase client
+const webhookQueue = new WebhookQueueService({ ...config, supabaseClient: emailValidator.supabase });
+
+// HubSpot update failures worth retrying; anything else is recorded as completed
+const RETRYABLE_UPDATE_REASONS = new Set([
+  'timeout',
+  'network_error',
+  'rate_limited',
+  'hubspot_unavailable',
+  'unauthorized'
+]);
+
+// HubSpot update failures no retry can fix; the item goes straight to dead-letter and
+// can be replayed once the configuration is fixed
+const DEAD_LETTER_UPDATE_REASONS = new Set([
+  'not_configured'
+]);
+
+// Queue consumer endpoint, triggered by Vercel cron or by operators:
+//   GET/POST                         -> process due queue items
+//   GET  ?action=dead-letters        -> list dead-lettered events
+//   POST { action: 'replay', ids }   -> requeue dead-lettered events
+export default async function handler(req, res) {
+  // Fail closed: without CRON_SECRET anyone could drain the queue or replay dead letters
+  if (!config.consumerSecret) {
+    console.error('QUEUE_CONSUMER: CRON_SECRET is not set, refusing request');
+    return res.status(500).json({ error: 'Queue consumer is not configured' });
+  }
+
+  const authHeader = req.headers.authorization || '';
+  const expected = Buffer.from(`Bearer ${config.consumerSecret}`);
+  const received = Buffer.from(authHeader);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const action = req.query?.action || req.body?.action || 'drain';
+
+    if (action === 'dead-letters') {
+      const limit = parseInt(req.query?.limit || '50', 10);
+      const result = await webhookQueue.listDeadLetters(limit);
+      return res.status(result.success ? 200 : 500).json(result);
+    }
+
+    if (action === 'replay') {
+      if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+      }
+      const result = await webhookQueue.replayDeadLetters(req.body?.ids);
+      return res.status(result.success ? 200 : 400).json(result);
+    }
+
+    const result = await drainWebhookQueue();
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('QUEUE_CONSUMER: Handler error', {
+      error: error.message,
+      stack: error.stack
+    });
+    return res.status(500).json({ error: 'Queue consumer error', details: error.message });
+  }
+}
+
+// Claim and process due webhook events until the time budget runs out
+export async function drainWebhookQueue(options = {}) {
+  const {
+    batchSize = config.webhookQueue.batchSize,
+    budgetMs = config.webhookQueue.drainBudgetMs
+  } = options;
+
+  const startTime = Date.now();
+  const processingResults = [];
+
+  if (!webhookQueue.isEnabled()) {
+    console.error('QUEUE_CONSUMER: Webhook queue not enabled, nothing to drain');
+    return { success: false, error: 'Webhook queue not enabled', processingResults };
+  }
+
+  while (Date.now() - startTime < budgetMs) {
+    const items = await webhookQueue.claimDue(batchSize);
+    if (items.length === 0) {
+      break;
+    }
+
+    for (const item of items) {
+      // Stale-while-revalidate jobs share the queue with HubSpot events
+      const result = await processQueueItem(item.source === 'revalidation'
+        ? {
+            action: 'revalidateEmail',
+            email: item.payload?.email,
+            job: item.payload,
+            queueItemId: item.id,
+            attempt: item.attempts
+          }
+        : {
+            action: 'processWebhookEvent',
+            event: item.payload,
+            queueItemId: item.id,
+            attempt: item.attempts
+          });
+
+      const failure = getProcessingFailure(result);
+      if (failure) {
+        const marked = await webhookQueue.markFailed(item, failure.error, { retry: failure.retry });
+        processingResults.push({ ...result, queueItemId: item.id, queueStatus: marked.status || 'error' });
+      } else {
+        await webhookQueue.markCompleted(item, summarizeResult(result));
+        processingResults.push({ ...result, queueItemId: item.id, queueStatus: 'completed' });
+      }
+    }
+  }
+
+  console.log('QUEUE_CONSUMER: Drain completed', {
+    processed: processingResults.length,
+    elapsedMs: Date.now() - startTime
+  });
+
+  return { success: true, processingResults };
+}
+
+// Decide whether a processing result failed; returns the error to record and whether a
+// retry may help, or null when the item is done
+function getProcessingFailure(result) {
+  if (!result) {
+    return { error: 'Empty processing result', retry: true };
+  }
+
+  // Skips such as no_email carry a reason and are final
+  if (!result.success) {
+    return result.reason ? null : { error: result.error || 'Event processing failed', retry: true };
+  }
+
+  const updateResult = result.updateResult;
+  if (updateResult && !updateResult.success) {
+    const error = updateResult.error || updateResult.reason || 'HubSpot update failed';
+    if (DEAD_LETTER_UPDATE_REASONS.has(updateResult.reason)) {
+      return { error, retry: false };
+    }
+    if (!updateResult.reason || RETRYABLE_UPDATE_REASONS.has(updateResult.reason)) {
+      return { error, retry: true };
+    }
+  }
+
+  return null;
+}
+
+// Keep the stored result small: the full validation result lives in email_validations
+function summarizeResult(result) {
+  return {
+    success: result.success,
+    reason: result.reason || null,
+    contactId: result.contactId || null,
+    status: result.validationResult?.status || null,
+    updateSuccess: result.updateResult?.success ?? null,
+    updateReason: result.updateResult?.reason || null
+  };
+}
+
 export async function processQueueItem(payload) {
   // Log the queue item received
   console.log('QUEUE_CONSUMER: Processing queue item', {
@@ -61,12 +245,77 @@ export async function processQueueItem(payload) {
   switch (payload.action) {
     case 'saveValidation':
       return processValidationSave(payload);
+    case 'processWebhookEvent':
+      return processWebhookQueueItem(payload);
+    case 'revalidateEmail':
+      return processRevalidationItem(payload);
     default:
       console.error('QUEUE_CONSUMER: Unknown action type', { action: payload.action });
       return { success: false, error: 'Unknown action type' };
   }
 }
 
+// Process a queued HubSpot webhook event with a per-event timeout
+async function processWebhookQueueItem(payload) {
+  const { event, queueItemId, attempt } = payload;
+
+  console.log('QUEUE_CONSUMER: Processing webhook event', {
+    queueItemId,
+    attempt,
+    eventId: event?.eventId,
+    contactId: event?.objectId
+  });
+
+  let timeoutId;
+  const timeoutPromise = new Promise((_, reject) => {
+    timeoutId = setTimeout(() => reject(new Error('Event processing timeout')), config.timeouts.webhook);
+  });
+
+  try {
+    return await Promise.race([processQueuedWebhookEvent(event), timeoutPromise]);
+  } catch (error) {
+    console.error('QUEUE_CONSUMER: Webhook event processing error or timeout', {
+      queueItemId,
+      error: error.message
+    });
+    return {
+      success: false,
+      error: error.message,
+      contactId: event?.objectId || 'unknown'
+    };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+// Revalidate a stale stored result with a per-job timeout
+async function processRevalidationItem(payload) {
+  const { job, queueItemId, attempt } = payload;
+
+  let timeoutId;
+  const timeoutPromise = new Promise((_, reject) => {
+    timeoutId = setTimeout(() => reject(new Error('Revalidation timeout')), config.timeouts.webhook);
+  });
+
+  try {
+    return await Promise.race([processQueuedRevalidation(job), timeoutPromise]);
+  } catch (error) {
+    console.error('QUEUE_CONSUMER: Revalidation error or timeout', {
+      queueItemId,
+      attempt,
+      email: job?.email,
+      error: error.message
+    });
+    return {
+      success: false,
+      error: error.message,
+      contactId: job?.crmContactId || null
+    };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
 // Process a validation save request
 async function processValidationSave(payload) {
   const { email, validationResult, isFallback } = payload;
@@ -111,8 +360,8 @@ async function processValidationSave(payload) {
       validationResult.date_last_um_check_epoch = validationResult.date_last_um_check_epoch * 1000;
     }
     
-    // Save result to Supabase
-    const saveResult = await emailValidator.saveValidationResult(email, validationResult);
+    // Save result to Supabase under the corrected address, the key validation reads it by
+    const saveResult = await emailValidator.saveValidationResult(validationResult.currentEmail || email, validationResult);
     
     console.log('QUEUE_CONSUMER: Save operation completed', {
       success: saveResult.success,
@@ -1,11 +1,38 @@
 import { EmailValidationService } from '../../src/services/email-validator.js';
+import { ClientManagerService } from '../../src/services/client-manager.js';
 
 // Load configuration with Redis disabled by default
 const config = {
   useZeroBounce: process.env.USE_ZERO_BOUNCE === 'true',
   zeroBounceApiKey: process.env.ZERO_BOUNCE_API_KEY || '',
+  verification: {
+    primary: process.env.VERIFICATION_PRIMARY_PROVIDER || 'zerobounce',
+    fallback: process.env.VERIFICATION_FALLBACK_PROVIDER || null
+  },
+  providers: {
+    zerobounce: {
+      baseUrl: process.env.ZERO_BOUNCE_BASE_URL || undefined
+    },
+    neverbounce: {
+      apiKey: process.env.NEVERBOUNCE_API_KEY || '',
+      baseUrl: process.env.NEVERBOUNCE_BASE_URL || undefined
+    },
+    kickbox: {
+      apiKey: process.env.KICKBOX_API_KEY || '',
+      baseUrl: process.env.KICKBOX_BASE_URL || undefined
+    }
+  },
   removeGmailAliases: true,
   checkAustralianTlds: true,
+  region: process.env.DEFAULT_REGION || undefined,
+  // Worker pool size for batches and caps on concurrent Supabase and provider calls
+  concurrency: {
+    batchWorkers: parseInt(process.env.BATCH_WORKERS || '6', 10),
+    supabase: parseInt(process.env.SUPABASE_CONCURRENCY || '4', 10),
+    provider: parseInt(process.env.PROVIDER_CONCURRENCY || '3', 10)
+  },
+  // Batches larger than this skip the verification provider to save time and credits
+  batchProviderMaxSize: parseInt(process.env.BATCH_PROVIDER_MAX_SIZE || '10', 10),
   useRedis: process.env.USE_REDIS === 'true',
   upstash: {
     url: process.env.UPSTASH_REDIS_URL || '',
@@ -13,8 +40,14 @@ const config = {
   }
 };
 
-// Initialize the email validation service
-const emailValidator = new EmailValidationService(config);
+// Initialize the client manager service
+const clientManager = new ClientManagerService();
+
+// Initialize the email validation service with per-client settings
+const emailValidator = new EmailValidationService({
+  ...config,
+  clientSettings: clientManager.getClientSettingsMap()
+});
 
 export default async function handler(req, res) {
   // Only allow POST method
@@ -23,7 +56,19 @@ export default async function handler(req, res) {
   }
   
   try {
-    const { emails } = req.body;
+    // An API key is optional here; when one is sent it must be valid, and the batch
+    // then runs under that client's settings
+    const apiKey = req.headers['x-api-key'] || req.query?.api_key;
+    let clientId = null;
+    if (apiKey) {
+      const keyValidation = clientManager.validateApiKey(apiKey);
+      if (!keyValidation.valid) {
+        return res.status(401).json({ error: 'Unauthorized', reason: 'Invalid API key' });
+      }
+      clientId = keyValidation.client.clientId;
+    }
+    
+    const { emails, maxAgeDays } = req.body;
     
     if (!emails || !Array.isArray(emails)) {
       return res.status(400).json({ error: 'Emails array is required' });
@@ -38,7 +83,7 @@ export default async function handler(req, res) {
     }
     
     // Log for debugging
-    console.log(`Processing batch validation for ${emails.length} emails`);
+    console.log(`Processing batch validation for ${emails.length} emails`, { clientId: clientId || 'default' });
     
     // CRITICAL: Set a strict global timeout to ensure we respond before Vercel's timeout
     const timeoutPromise = new Promise((_, reject) => {
@@ -47,14 +92,21 @@ export default async function handler(req, res) {
       }, 8000); // Set to 8 seconds to be safe
     });
     
+    // Results finished so far, kept in case the race below times out
+    const finished = new Array(emails.length);
+    
     try {
       // Race between batch validation and timeout
       const results = await Promise.race([
         emailValidator.validateBatch(emails, {
-          // Skip ZeroBounce for large batches to save time
-          skipZeroBounce: emails.length > 10,
-          // Allocate time budget per email
-          timeoutPerEmailMs: Math.min(2000, 8000 / emails.length)
+          // Skip the provider for large batches to save time
+          skipZeroBounce: emails.length > config.batchProviderMaxSize,
+          timeoutPerEmailMs: 2000,
+          // Finish inside the 8 second race below; unfinished emails get quick validation
+          budgetMs: 7500,
+          clientId,
+          maxAgeDays: maxAgeDays ?? null,
+          onResult: (index, result) => { finished[index] = result; }
         }),
         timeoutPromise
       ]);
@@ -63,10 +115,13 @@ export default async function handler(req, res) {
     } catch (error) {
       console.error('Batch validation timed out:', error.message);
       
-      // If we hit a timeout, return quick validation results for all emails
-      console.log('Falling back to quick validation for all emails');
-      const quickResults = emails.map(email => emailValidator.quickValidate(email));
-      return res.status(200).json(quickResults);
+      // If we hit a timeout, keep the finished results and quick-validate the rest
+      const unfinished = emails.filter((_, index) => !finished[index]).length;
+      console.log('Falling back to quick validation for unfinished emails', { unfinished });
+      const results = await Promise.all(emails.map((email, index) =>
+        finished[index] || emailValidator.quickValidate(email, clientId)
+      ));
+      return res.status(200).json(results);
     }
   } catch (error) {
     console.error('Error validating email batch:', error);
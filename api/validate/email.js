@@ -40,9 +40,130 @@ const config = {
   zeroBounceApiKey: process.env.ZERO_BOUNCE_API_KEY || '',
   zeroBounceMaxRetries: parseInt(process.env.ZERO_BOUNCE_MAX_RETRIES || '1', 10),
   
+  // Verification providers - each client can override primary/fallback
+  verification: {
+    primary: process.env.VERIFICATION_PRIMARY_PROVIDER || 'zerobounce',
+    fallback: process.env.VERIFICATION_FALLBACK_PROVIDER || null
+  },
+  providers: {
+    zerobounce: {
+      baseUrl: process.env.ZERO_BOUNCE_BASE_URL || undefined
+    },
+    neverbounce: {
+      apiKey: process.env.NEVERBOUNCE_API_KEY || '',
+      baseUrl: process.env.NEVERBOUNCE_BASE_URL || undefined
+    },
+    kickbox: {
+      apiKey: process.env.KICKBOX_API_KEY || '',
+      baseUrl: process.env.KICKBOX_BASE_URL || undefined
+    }
+  },
+  
   // Email processing settings
   removeGmailAliases: true,
   checkAustralianTlds: true,
+  // Home region pack for TLD corrections: au, nz or uk (per-client override; unset = au via checkAustralianTlds)
+  region: process.env.DEFAULT_REGION || undefined,
+  
+  // In-memory snapshot of the domain and TLD tables, reloaded on a TTL or a version bump
+  referenceData: {
+    refreshIntervalMs: parseInt(process.env.REFERENCE_DATA_REFRESH_INTERVAL_MS || '300000', 10),
+    versionTable: process.env.REFERENCE_DATA_VERSION_TABLE || null
+  },
+  
+  // Local DNS stage - MX lookup with A/AAAA fallback before any paid provider call
+  useDnsCheck: process.env.USE_DNS_CHECK !== 'false',
+  dns: {
+    // Comma-separated resolver addresses, e.g. "1.1.1.1,8.8.8.8" or "127.0.0.1:5353"
+    servers: (process.env.DNS_RESOLVERS || '').split(',').map(server => server.trim()).filter(Boolean),
+    positiveTtlMs: parseInt(process.env.DNS_CACHE_TTL_MS || '3600000', 10),
+    negativeTtlMs: parseInt(process.env.DNS_NEGATIVE_CACHE_TTL_MS || '900000', 10)
+  },
+  
+  // Provider local-part normalization applied to currentEmail, e.g. "strip_tags,remove_dots".
+  // Unset keeps the legacy behaviour of stripping Gmail plus-tags only.
+  normalization: {
+    transforms: process.env.LOCAL_PART_NORMALIZATIONS
+      ? process.env.LOCAL_PART_NORMALIZATIONS.split(',').map(value => value.trim()).filter(Boolean)
+      : undefined,
+    providers: process.env.NORMALIZE_PROVIDERS
+      ? process.env.NORMALIZE_PROVIDERS.split(',').map(value => value.trim()).filter(Boolean)
+      : undefined
+  },  
+  // Edit-distance domain typo suggestions, applied automatically at or above the threshold
+  useDomainSuggestions: process.env.USE_DOMAIN_SUGGESTIONS !== 'false',
+  domainSuggestions: {
+    autoCorrectThreshold: parseFloat(process.env.TYPO_AUTO_CORRECT_THRESHOLD || '0.8'),
+    maxDistance: parseInt(process.env.TYPO_MAX_DISTANCE || '2', 10)
+  },
+  
+  // Structural repair of malformed input - suggested only, applied when enabled (per-client override)
+  useFormatRepair: process.env.USE_FORMAT_REPAIR !== 'false',
+  formatRepair: {
+    autoApply: process.env.AUTO_APPLY_FORMAT_REPAIRS === 'true',
+    autoApplyThreshold: parseFloat(process.env.FORMAT_REPAIR_AUTO_APPLY_THRESHOLD || '0.85')
+  },
+  
+  // Disposable mailbox domains - 'invalid' rejects them, 'flag' only marks them (per-client override)
+  useDisposableCheck: process.env.USE_DISPOSABLE_CHECK !== 'false',
+  disposable: {
+    policy: process.env.DISPOSABLE_POLICY || 'invalid',
+    refreshIntervalMs: parseInt(process.env.DISPOSABLE_REFRESH_INTERVAL_MS || '600000', 10)
+  },
+  
+  // Role accounts (info@, sales@, noreply@) - always flagged, downgraded from 'valid' only when enabled
+  useRoleAccountCheck: process.env.USE_ROLE_ACCOUNT_CHECK !== 'false',
+  roleAccounts: {
+    downgrade: process.env.DOWNGRADE_ROLE_ACCOUNTS === 'true'
+  },
+  
+  // Fields with several addresses - which one becomes the primary (per-client override)
+  multiAddress: {
+    policy: process.env.MULTI_ADDRESS_POLICY || 'first_valid',
+    maxAddresses: parseInt(process.env.MULTI_ADDRESS_MAX || '5', 10)
+  },
+  
+  // Catch-all domains remembered in domain_intelligence; paid checks are skipped while fresh
+  useDomainIntelligence: process.env.USE_DOMAIN_INTELLIGENCE !== 'false',
+  domainIntelligence: {
+    catchAllTtlDays: parseInt(process.env.CATCH_ALL_TTL_DAYS || '30', 10)
+  },
+  
+  // Reuse windows for results stored in email_validations, per status
+  storedResults: {
+    ttlDays: {
+      valid: parseFloat(process.env.STORED_VALID_TTL_DAYS || '7'),
+      invalid: parseFloat(process.env.STORED_INVALID_TTL_DAYS || '30'),
+      unknown: parseFloat(process.env.STORED_UNKNOWN_TTL_DAYS || '3'),
+      check_failed: parseFloat(process.env.STORED_CHECK_FAILED_TTL_DAYS || '1')
+    },
+    // Serve verdicts past their window marked stale and revalidate through the queue consumer
+    staleWhileRevalidate: process.env.STALE_WHILE_REVALIDATE === 'true',
+    maxStaleDays: parseFloat(process.env.MAX_STALE_DAYS || '90')
+  },
+  
+  // HubSpot write-back for revalidation jobs queued from signed webhook events
+  hubspot: {
+    apiKey: process.env.HUBSPOT_API_KEY || '',
+    baseUrl: process.env.HUBSPOT_API_BASE_URL || 'https://api.hubapi.com'
+  },
+  
+  // Caps on concurrent Supabase and provider calls
+  concurrency: {
+    supabase: parseInt(process.env.SUPABASE_CONCURRENCY || '4', 10),
+    provider: parseInt(process.env.PROVIDER_CONCURRENCY || '3', 10)
+  },
+  
+  // SMTP RCPT TO probe - opt-in, needs outbound port 25 and a HELO host with valid rDNS
+  useSmtpProbe: process.env.USE_SMTP_PROBE === 'true',
+  smtpProbe: {
+    heloHost: process.env.SMTP_PROBE_HELO_HOST,
+    mailFrom: process.env.SMTP_PROBE_MAIL_FROM,
+    port: parseInt(process.env.SMTP_PROBE_PORT || '25', 10),
+    connectTimeoutMs: parseInt(process.env.SMTP_PROBE_CONNECT_TIMEOUT_MS || '3000', 10),
+    commandTimeoutMs: parseInt(process.env.SMTP_PROBE_COMMAND_TIMEOUT_MS || '4000', 10),
+    perDomainConcurrency: parseInt(process.env.SMTP_PROBE_PER_DOMAIN_CONCURRENCY || '2', 10)
+  },
   
   // Supabase configuration - explicitly enabled by default
   useSupabase: process.env.USE_SUPABASE !== 'false', // Only disable if explicitly set to 'false'
@@ -80,6 +201,7 @@ const config = {
     zeroBounce: 6000,           // 6 seconds for ZeroBounce operations (up from 4000)
     zeroBounceRetry: 8000,      // 8 seconds for ZeroBounce retry operations (new)
     validation: 10000,          // 10 seconds for overall validation (up from 7000)
+    dns: 2000,                  // 2 seconds per DNS query
   }
 };
 
@@ -87,6 +209,7 @@ const config = {
 console.log('API CONFIGURATION:', {
   useZeroBounce: config.useZeroBounce,
   zeroBounceMaxRetries: config.zeroBounceMaxRetries,
+  verification: config.verification,
   useSupabase: config.useSupabase,
   supabaseUrlSet: !!config.supabase.url,
   supabaseKeyLength: config.supabase.key ? config.supabase.key.length : 0,
@@ -101,8 +224,11 @@ const clientManager = new ClientManagerService();
 // Log loaded clients
 console.log(`CLIENT MANAGER: Loaded ${clientManager.clients.size} client API keys`);
 
-// Initialize the email validation service
-const emailValidator = new EmailValidationService(config);
+// Initialize the email validation service with per-client settings
+const emailValidator = new EmailValidationService({
+  ...config,
+  clientSettings: clientManager.getClientSettingsMap()
+});
 
 // Test Supabase connection immediately to ensure it's available for the first request
 // The connection test has been improved to be more reliable
@@ -138,6 +264,12 @@ const emailValidator = new EmailValidationService(config);
   }
 })();
 
+// Entry point for the queue consumer: revalidation jobs queued by stale-while-revalidate
+// run with this endpoint's providers and client settings
+export function processQueuedRevalidation(job) {
+  return emailValidator.revalidate(job, { timeoutMs: config.timeouts.validation });
+}
+
 // Main API handler function
 export default async function handler(req, res) {
   // Health check endpoint
@@ -191,7 +323,7 @@ export default async function handler(req, res) {
       });
     }
     
-    const { email } = req.body;
+    const { email, maxAgeDays, staleWhileRevalidate } = req.body;
     
     if (!email) {
       return res.status(400).json({ error: 'Email is required' });
@@ -206,32 +338,20 @@ export default async function handler(req, res) {
       supabaseStatus: emailValidator.supabaseConnectionStatus || 'unknown'
     });
     
-    // Quick invalid format check
-    if (!emailValidator.isValidEmailFormat(email)) {
-      console.log('VALIDATION: Invalid email format detected');
-      
-      // UPDATED: Generate unmessy fields for invalid format with new date format and millisecond epoch
-      const now = new Date();
-      const formattedDate = emailValidator.formatDateString(now);
-      const epochTimeMs = now.getTime(); // Use milliseconds for uniqueness
-      const umCheckId = emailValidator.generateUmCheckId(client.clientId);
-      
-      const result = {
-        originalEmail: email,
-        currentEmail: email,
-        formatValid: false,
-        status: 'invalid',
-        subStatus: 'bad_format',
-        recheckNeeded: false,
-        // Add unmessy specific fields with updated formats
-        date_last_um_check: formattedDate,
-        date_last_um_check_epoch: epochTimeMs,
-        um_check_id: umCheckId,
-        um_email: email,
-        email: email,
-        um_email_status: 'Unable to change',
-        um_bounce_status: 'Likely to bounce'
-      };
+    // Quick invalid format check on the address itself, ignoring any display name or comments.
+    // Multi-address fields are checked address by address in validateEmail. Malformed input
+    // goes through quickValidate so it can carry a repair suggestion (or have one applied).
+    const cleanedEmail = emailValidator.cleanupUnicode(email).text;
+    const isMultiAddress = emailValidator.splitAddressList(cleanedEmail).length > 1;
+    const formatResult = !isMultiAddress && !emailValidator.isValidEmailFormat(emailValidator.parseAddress(cleanedEmail).addrSpec)
+      ? await emailValidator.quickValidate(email, client.clientId)
+      : null;
+    
+    // An auto-applied repair makes the address usable, so it continues to full validation
+    if (formatResult && !formatResult.formatValid) {
+      console.log('VALIDATION: Invalid email format detected', {
+        repairSuggestion: formatResult.formatRepair?.suggestion || null
+      });
       
       // Increment the client's email count even for invalid emails
       clientManager.incrementEmailCount(client.clientId);
@@ -241,7 +361,7 @@ export default async function handler(req, res) {
       
       // Add client information to the result
       const responseWithClientInfo = {
-        ...result,
+        ...formatResult,
         client: {
           id: client.clientId,
           name: client.name,
@@ -255,8 +375,8 @@ export default async function handler(req, res) {
       console.log('API RESPONSE: Returning invalid format result', {
         clientId: client.clientId,
         email,
-        status: result.status,
-        subStatus: result.subStatus
+        status: formatResult.status,
+        subStatus: formatResult.subStatus
       });
       
       return res.status(200).json(responseWithClientInfo);
@@ -276,16 +396,20 @@ export default async function handler(req, res) {
         clientId: client.clientId,
         email,
         supabaseStatus: emailValidator.supabaseConnectionStatus || 'unknown',
-        zeroBounceEnabled: config.useZeroBounce
+        zeroBounceEnabled: config.useZeroBounce,
+        primaryProvider: config.verification.primary
       });
       
       // Race between validation and timeout
       // NOTE: The updated validateEmail method now saves data synchronously
       const result = await Promise.race([
         emailValidator.validateEmail(email, { 
-          skipZeroBounce: !config.useZeroBounce, 
+          skipZeroBounce: false, // Providers that are not configured are skipped by the service
           timeoutMs: config.timeouts.validation,
-          clientId: client.clientId // Pass client ID to the validation service
+          clientId: client.clientId, // Pass client ID to the validation service
+          maxAgeDays: maxAgeDays ?? null, // Oldest stored verdict the caller will accept
+          // Leaving these out uses the client's stale-while-revalidate setting
+          ...(typeof staleWhileRevalidate === 'boolean' ? { staleWhileRevalidate } : {})
         }),
         timeoutPromise
       ]);
@@ -313,6 +437,8 @@ export default async function handler(req, res) {
         clientId: client.clientId,
         email,
         status: result.status,
+        servedFromStorage: result.servedFromStorage || false,
+        stale: result.stale || false,
         wasCorrected: result.wasCorrected,
         umEmailStatus: result.um_email_status,
         umBounceStatus: result.um_bounce_status,
@@ -458,6 +584,15 @@ async function healthCheck(req, res) {
           retry: config.timeouts.zeroBounceRetry
         }
       },
+      verification: {
+        primary: config.verification.primary,
+        fallback: config.verification.fallback,
+        configured: {
+          zerobounce: !!config.zeroBounceApiKey && config.useZeroBounce,
+          neverbounce: !!config.providers.neverbounce.apiKey,
+          kickbox: !!config.providers.kickbox.apiKey
+        }
+      },
       clients: {
         count: clientManager.clients.size,
         stats: clientStats
@@ -1,4 +1,6 @@
 import { EmailValidationService } from '../../src/services/email-validator.js';
+import { WebhookQueueService } from '../../src/services/webhook-queue.js';
+import { WebhookIdempotencyService } from '../../src/services/webhook-idempotency.js';
 import crypto from 'crypto';
 
 // Load configuration keeping Redis and ZeroBounce enabled by default
@@ -6,19 +8,67 @@ const config = {
   environment: process.env.NODE_ENV || 'development',
   useZeroBounce: process.env.USE_ZERO_BOUNCE !== 'false', // Enabled by default
   zeroBounceApiKey: process.env.ZERO_BOUNCE_API_KEY || '',
+  verification: {
+    primary: process.env.VERIFICATION_PRIMARY_PROVIDER || 'zerobounce',
+    fallback: process.env.VERIFICATION_FALLBACK_PROVIDER || null
+  },
+  providers: {
+    zerobounce: {
+      baseUrl: process.env.ZERO_BOUNCE_BASE_URL || undefined
+    },
+    neverbounce: {
+      apiKey: process.env.NEVERBOUNCE_API_KEY || '',
+      baseUrl: process.env.NEVERBOUNCE_BASE_URL || undefined
+    },
+    kickbox: {
+      apiKey: process.env.KICKBOX_API_KEY || '',
+      baseUrl: process.env.KICKBOX_BASE_URL || undefined
+    }
+  },
   removeGmailAliases: true,
   checkAustralianTlds: true,
+  region: process.env.DEFAULT_REGION || undefined,
   // Keep Redis enabled by default, only disable if explicitly set to 'false'
   useRedis: process.env.USE_REDIS !== 'false',
   upstash: {
     url: process.env.UPSTASH_REDIS_URL || '',
     token: process.env.UPSTASH_REDIS_TOKEN || ''
   },
+  // Supabase backs the durable webhook queue
+  useSupabase: process.env.USE_SUPABASE !== 'false',
+  supabase: {
+    url: process.env.SUPABASE_URL || '',
+    key: process.env.SUPABASE_SERVICE_ROLE_KEY || ''
+  },
+  // Reuse windows for results stored in email_validations, per status
+  storedResults: {
+    ttlDays: {
+      valid: parseFloat(process.env.STORED_VALID_TTL_DAYS || '7'),
+      invalid: parseFloat(process.env.STORED_INVALID_TTL_DAYS || '30'),
+      unknown: parseFloat(process.env.STORED_UNKNOWN_TTL_DAYS || '3'),
+      check_failed: parseFloat(process.env.STORED_CHECK_FAILED_TTL_DAYS || '1')
+    },
+    staleWhileRevalidate: process.env.STALE_WHILE_REVALIDATE === 'true',
+    maxStaleDays: parseFloat(process.env.MAX_STALE_DAYS || '90')
+  },
+  webhookQueue: {
+    maxAttempts: parseInt(process.env.WEBHOOK_QUEUE_MAX_ATTEMPTS || '5', 10),
+    baseBackoffMs: parseInt(process.env.WEBHOOK_QUEUE_BASE_BACKOFF_MS || '30000', 10)
+  },
+  // How long processed event IDs and our own write-backs are remembered
+  webhookDedupe: {
+    windowMs: parseInt(process.env.WEBHOOK_DEDUPE_WINDOW_MS || String(24 * 60 * 60 * 1000), 10)
+  },
   hubspot: {
     apiKey: process.env.HUBSPOT_API_KEY || '',
-    clientSecret: process.env.HUBSPOT_CLIENT_SECRET || ''
+    baseUrl: process.env.HUBSPOT_API_BASE_URL || 'https://api.hubapi.com',
+    clientSecret: process.env.HUBSPOT_CLIENT_SECRET || '',
+    // Public URL HubSpot calls, used for v2/v3 signatures when behind a proxy
+    webhookUrl: process.env.HUBSPOT_WEBHOOK_URL || ''
   },
   skipSignatureVerification: process.env.SKIP_SIGNATURE_VERIFICATION === 'true',
+  // Reject signed requests older than five minutes to prevent replays
+  signatureMaxAgeMs: 5 * 60 * 1000,
   // Configure timeout values
   timeouts: {
     redis: 2000,         // Redis operations timeout in ms
@@ -29,9 +79,24 @@ const config = {
   }
 };
 
-// Create a new instance for each request to prevent state bleeding between requests
+// Create a new instance for each request to prevent state bleeding between requests.
+// Caches and the reference data snapshot are shared by every validator built from config.
 const createEmailValidator = () => new EmailValidationService(config);
 
+const webhookQueue = new WebhookQueueService(config);
+
+// Shared across events so redeliveries and self-triggered changes are recognised
+const webhookIdempotency = new WebhookIdempotencyService(config);
+
+// Signatures are computed over the exact bytes HubSpot sent, so disable body parsing
+// and read the raw request body ourselves
+const functionConfig = {
+  api: {
+    bodyParser: false
+  }
+};
+export { functionConfig as config };
+
 export default async function handler(req, res) {
   console.log('Environment variables:', {
     NODE_ENV: process.env.NODE_ENV,
@@ -40,30 +105,54 @@ export default async function handler(req, res) {
     USE_ZERO_BOUNCE: process.env.USE_ZERO_BOUNCE
   });
 
-  // Log truncated payload to avoid excessive logging
-  const truncatedPayload = JSON.stringify(req.body).substring(0, 500);
-  console.log(`Received webhook payload (truncated): ${truncatedPayload}${truncatedPayload.length >= 500 ? '...' : ''}`);
-
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
   try {
-    if (!verifyHubspotSignature(req, config)) {
+    const rawBody = await readRawBody(req);
+
+    // Log truncated payload to avoid excessive logging
+    const truncatedPayload = rawBody.substring(0, 500);
+    console.log(`Received webhook payload (truncated): ${truncatedPayload}${truncatedPayload.length >= 500 ? '...' : ''}`);
+
+    const verification = verifyHubspotSignature(req, rawBody, config);
+    if (!verification.valid) {
+      console.error('HubSpot signature verification failed:', {
+        version: verification.version,
+        reason: verification.reason
+      });
       return res.status(401).json({ error: 'Invalid signature' });
     }
 
-    // Send immediate response to avoid timeouts
-    res.status(202).json({ message: 'Processing webhook asynchronously' });
+    let webhookData;
+    try {
+      webhookData = rawBody ? JSON.parse(rawBody) : null;
+    } catch (parseError) {
+      console.error('Invalid JSON in webhook payload:', parseError.message);
+      return res.status(400).json({ error: 'Invalid JSON payload' });
+    }
+
+    const events = Array.isArray(webhookData) ? webhookData : [webhookData];
+
+    // Persist events before acknowledging: Vercel freezes the function once the
+    // response is sent, so nothing may run after it. The queue consumer picks them up.
+    const enqueueResult = await webhookQueue.enqueue(events, 'hubspot');
 
-    // Process webhooks asynchronously to avoid Vercel timeout
-    processWebhookAsync(req.body, config)
-      .then(result => console.log('Webhook processed successfully:', { 
-        success: result.success, 
-        eventCount: Array.isArray(result.processingResults) ? result.processingResults.length : 0 
-      }))
-      .catch(error => console.error('Error processing webhook:', error));
+    if (!enqueueResult.success) {
+      console.error('Failed to persist webhook events, asking HubSpot to retry:', {
+        reason: enqueueResult.reason,
+        error: enqueueResult.error,
+        eventCount: events.length
+      });
+      // A non-2xx response makes HubSpot redeliver the events later
+      return res.status(503).json({ error: 'Unable to queue webhook events' });
+    }
 
+    return res.status(202).json({
+      message: 'Webhook events queued for processing',
+      queued: enqueueResult.count
+    });
   } catch (error) {
     console.error('Error in webhook handler:', error);
     // If response hasn't been sent yet, send an error
@@ -73,95 +162,148 @@ export default async function handler(req, res) {
   }
 }
 
-function verifyHubspotSignature(req, config) {
-  if (config.skipSignatureVerification) {
-    console.log('Skipping signature verification as configured');
-    return true;
+// Read the request body exactly as HubSpot sent it. bodyParser is off, so the stream is
+// the only source; a re-serialized parsed body would not match the signed bytes.
+async function readRawBody(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
   }
+  return Buffer.concat(chunks).toString('utf8');
+}
 
-  try {
-    const signature = req.headers['x-hubspot-signature'];
-    const requestBody = JSON.stringify(req.body);
+// Reconstruct the URL HubSpot signed: protocol, host, path and query string
+function getRequestUri(req, config) {
+  if (config.hubspot.webhookUrl) {
+    const base = new URL(config.hubspot.webhookUrl);
+    const requestUrl = new URL(req.url || '/', 'http://placeholder');
+    return `${base.origin}${requestUrl.pathname}${requestUrl.search}`;
+  }
 
-    if (!signature) {
-      console.error('Missing HubSpot signature');
-      return false;
-    }
+  const protocol = (req.headers['x-forwarded-proto'] || 'https').split(',')[0].trim();
+  const host = (req.headers['x-forwarded-host'] || req.headers.host || '').split(',')[0].trim();
+  return `${protocol}://${host}${req.url || '/'}`;
+}
 
-    const hash = crypto
-      .createHmac('sha256', config.hubspot.clientSecret)
-      .update(requestBody)
-      .digest('hex');
+// HubSpot v3 signs the URI with these characters URL-decoded
+function decodeUriForV3(uri) {
+  const decodings = {
+    '%3A': ':', '%2F': '/', '%3F': '?', '%40': '@', '%21': '!', '%24': '$',
+    '%27': "'", '%28': '(', '%29': ')', '%2A': '*', '%2C': ',', '%3B': ';'
+  };
+  return uri.replace(/%(3A|2F|3F|40|21|24|27|28|29|2A|2C|3B)/gi, match => decodings[match.toUpperCase()]);
+}
 
-    return hash === signature;
-  } catch (error) {
-    console.error('Error verifying signature:', error);
+// Compare signatures without leaking timing information
+function safeCompare(expected, received) {
+  const expectedBuffer = Buffer.from(expected, 'utf8');
+  const receivedBuffer = Buffer.from(received, 'utf8');
+  if (expectedBuffer.length !== receivedBuffer.length) {
     return false;
   }
+  return crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
 }
 
-async function processWebhookAsync(webhookData, config) {
+// Verify v1, v2 or v3 HubSpot request signatures against the raw request body
+function verifyHubspotSignature(req, rawBody, config) {
+  if (config.skipSignatureVerification) {
+    console.log('Skipping signature verification as configured');
+    return { valid: true, version: null, reason: 'verification_skipped' };
+  }
+
   try {
-    // Log truncated for large payloads
-    const truncatedData = JSON.stringify(webhookData).substring(0, 200);
-    console.log(`Processing webhook data (truncated): ${truncatedData}${truncatedData.length >= 200 ? '...' : ''}`);
-
-    if (Array.isArray(webhookData)) {
-      console.log(`Webhook contains an array of ${webhookData.length} events, processing each one`);
-
-      const results = [];
-      for (const event of webhookData) {
-        try {
-          // Set a timeout for each event to prevent hanging
-          const timeoutPromise = new Promise((_, reject) => {
-            setTimeout(() => reject(new Error('Event processing timeout')), config.timeouts.webhook);
-          });
-
-          const result = await Promise.race([
-            processWebhookEvent(event, config),
-            timeoutPromise
-          ]).catch(error => {
-            console.error(`Event processing error or timeout: ${error.message}`);
-            return { 
-              success: false, 
-              error: error.message, 
-              contactId: event.objectId || 'unknown'
-            };
-          });
-          
-          results.push(result);
-        } catch (error) {
-          console.error(`Error processing event: ${error.message}`);
-          results.push({ 
-            success: false, 
-            error: error.message, 
-            contactId: event.objectId || 'unknown'
-          });
-        }
+    const clientSecret = config.hubspot.clientSecret;
+    if (!clientSecret) {
+      console.error('HubSpot client secret not configured');
+      return { valid: false, version: null, reason: 'missing_client_secret' };
+    }
+
+    const signatureV3 = req.headers['x-hubspot-signature-v3'];
+    const signature = req.headers['x-hubspot-signature'];
+    const version = signatureV3
+      ? 'v3'
+      : (req.headers['x-hubspot-signature-version'] || 'v1').toLowerCase();
+    const timestampHeader = req.headers['x-hubspot-request-timestamp'];
+    const method = (req.method || 'POST').toUpperCase();
+
+    // Replay protection applies whenever HubSpot supplies a request timestamp
+    if (version === 'v3' || timestampHeader) {
+      const timestamp = parseInt(timestampHeader, 10);
+      if (Number.isNaN(timestamp)) {
+        return { valid: false, version, reason: 'missing_timestamp' };
       }
+      if (Math.abs(Date.now() - timestamp) > config.signatureMaxAgeMs) {
+        return { valid: false, version, reason: 'timestamp_expired' };
+      }
+    }
 
-      return {
-        success: true,
-        processingResults: results
-      };
-    } else {
-      return await processWebhookEvent(webhookData, config);
+    let expected;
+    let received;
+
+    switch (version) {
+      case 'v1':
+        received = signature;
+        expected = crypto
+          .createHash('sha256')
+          .update(clientSecret + rawBody)
+          .digest('hex');
+        break;
+      case 'v2':
+        received = signature;
+        expected = crypto
+          .createHash('sha256')
+          .update(clientSecret + method + getRequestUri(req, config) + rawBody)
+          .digest('hex');
+        break;
+      case 'v3':
+        received = signatureV3;
+        expected = crypto
+          .createHmac('sha256', clientSecret)
+          .update(method + decodeUriForV3(getRequestUri(req, config)) + rawBody + timestampHeader)
+          .digest('base64');
+        break;
+      default:
+        return { valid: false, version, reason: 'unsupported_signature_version' };
+    }
+
+    if (!received) {
+      console.error('Missing HubSpot signature');
+      return { valid: false, version, reason: 'missing_signature' };
     }
+
+    const valid = safeCompare(expected, received);
+    return { valid, version, reason: valid ? null : 'signature_mismatch' };
   } catch (error) {
-    console.error('Error processing webhook:', error);
-    return {
-      success: false,
-      error: error.message
-    };
+    console.error('Error verifying signature:', error);
+    return { valid: false, version: null, reason: 'verification_error' };
   }
 }
 
+// Entry point for the queue consumer, bound to this endpoint's configuration
+export function processQueuedWebhookEvent(event) {
+  return processWebhookEvent(event, config);
+}
+
 async function processWebhookEvent(event, config) {
   // Create a new validator instance for each event
   const emailValidator = createEmailValidator();
   
   try {
     const contactId = event.objectId;
+
+    // Skip redelivered events and the propertyChange HubSpot fires for our own write-back
+    const idempotency = await webhookIdempotency.checkEvent(event);
+    if (idempotency.skip) {
+      return {
+        success: false,
+        skipped: true,
+        reason: idempotency.reason,
+        contactId,
+        eventId: event.eventId ?? null,
+        attemptNumber: event.attemptNumber ?? null
+      };
+    }
+
     let email = null;
 
     if (event.propertyName === 'email' && event.propertyValue) {
@@ -191,7 +333,7 @@ async function processWebhookEvent(event, config) {
     console.log(`Starting email validation for: ${email}`);
     
     // Get quick validation result first as a fallback
-    const quickResult = emailValidator.quickValidate(email);
+    const quickResult = await emailValidator.quickValidate(email);
     
     let validationResult;
     
@@ -199,7 +341,9 @@ async function processWebhookEvent(event, config) {
     try {
       const validationPromise = emailValidator.validateEmail(email, {
         skipZeroBounce: false,
-        timeoutMs: config.timeouts.validation
+        timeoutMs: config.timeouts.validation,
+        // The contact comes from the signed event, so a queued revalidation may write back to it
+        crmContactId: contactId
       });
       
       const timeoutPromise = new Promise((_, reject) => {
@@ -244,6 +388,16 @@ async function processWebhookEvent(event, config) {
       contactId
     });
 
+    if (updateResult.success) {
+      // Remember the corrected email we wrote so HubSpot's resulting propertyChange is
+      // recognised; updates that left the email property alone trigger no echo
+      const writtenEmail = updateResult.properties?.email;
+      if (validationResult.wasCorrected && writtenEmail) {
+        await webhookIdempotency.recordWriteback(contactId, writtenEmail);
+      }
+      await webhookIdempotency.recordProcessed(event);
+    }
+
     return {
       success: true,
       contactId,
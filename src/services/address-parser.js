@@ -0,0 +1,293 @@
+// src/services/address-parser.js
+import { isIPv4, isIPv6 } from 'node:net';
+
+// RFC 5322 address parsing for values copied out of CRMs and mail clients:
+//   "Smith, John" <john@acme.com>    display name + angle-addr
+//   john@acme.com (work)             addr-spec + comment
+//   mailto:john@acme.com?subject=Hi  mailto URI
+// plus quoted local parts ("john smith"@acme.com) and domain literals (john@[192.0.2.1]).
+
+// qtext or quoted-pair inside a quoted local part; non-ASCII allowed per RFC 6531
+const QUOTED_LOCAL_PART_PATTERN = /^"(?:[\x20\x21\x23-\x5b\x5d-\x7e\u{80}-\u{10FFFF}]|\\[\x20-\x7e])*"$/u;
+
+export function isQuotedLocalPart(localPart) {
+  return typeof localPart === 'string' && localPart.length >= 2 && localPart.startsWith('"') && localPart.endsWith('"');
+}
+
+export function isValidQuotedLocalPart(localPart) {
+  return QUOTED_LOCAL_PART_PATTERN.test(localPart);
+}
+
+export function isDomainLiteral(domain) {
+  return typeof domain === 'string' && domain.startsWith('[') && domain.endsWith(']');
+}
+
+// [192.0.2.1] or [IPv6:2001:db8::1]
+export function isValidDomainLiteral(domain) {
+  if (!isDomainLiteral(domain)) return false;
+  const literal = domain.slice(1, -1);
+  if (/^ipv6:/i.test(literal)) {
+    return isIPv6(literal.slice(5));
+  }
+  return isIPv4(literal);
+}
+
+// Split an addr-spec at the '@' that separates local part and domain, ignoring any
+// '@' inside a quoted local part
+export function splitAddrSpec(addrSpec) {
+  if (typeof addrSpec !== 'string') {
+    return { localPart: null, domain: null };
+  }
+
+  let inQuotes = false;
+  let separator = -1;
+  for (let i = 0; i < addrSpec.length; i++) {
+    const char = addrSpec[i];
+    if (char === '\\' && inQuotes) {
+      i++;
+    } else if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (char === '@' && !inQuotes) {
+      separator = i;
+    }
+  }
+
+  if (separator < 0) {
+    return { localPart: addrSpec, domain: null };
+  }
+
+  return { localPart: addrSpec.slice(0, separator), domain: addrSpec.slice(separator + 1) };
+}
+
+// Read a delimited token starting at input[start] (the opening delimiter). Comments nest.
+// Returns { text, end } where end is the index after the closing delimiter, or null if unterminated.
+function readDelimited(input, start, open, close) {
+  let depth = 0;
+  let text = '';
+  for (let i = start; i < input.length; i++) {
+    const char = input[i];
+    if (char === '\\' && i + 1 < input.length) {
+      text += char + input[i + 1];
+      i++;
+      continue;
+    }
+    if (char === open && (open !== close || depth === 0)) {
+      depth++;
+      if (depth === 1) continue;
+    } else if (char === close) {
+      depth--;
+      if (depth === 0) return { text, end: i + 1 };
+    }
+    text += char;
+  }
+  return null;
+}
+
+function unescapeQuoted(text) {
+  return text.replace(/\\(.)/g, '$1');
+}
+
+// Returns { addrSpec, displayName, comments, source, extracted, error }
+// source: bare | angle | mailto; extracted is true when anything around the addr-spec was removed
+export function parseAddress(input) {
+  const raw = typeof input === 'string' ? input.trim() : '';
+  const result = {
+    addrSpec: raw,
+    displayName: null,
+    comments: [],
+    source: 'bare',
+    extracted: false,
+    error: null
+  };
+
+  if (!raw) {
+    return result;
+  }
+
+  let value = raw;
+
+  // mailto: URIs carry a percent-encoded address and optional ?subject=... headers
+  const mailtoMatch = value.match(/^mailto:(.*)$/i);
+  if (mailtoMatch) {
+    value = mailtoMatch[1].split('?')[0];
+    try {
+      value = decodeURIComponent(value);
+    } catch {
+      // Leave malformed escapes as they are and let format validation decide
+    }
+    result.source = 'mailto';
+  }
+
+  // Walk the value, separating comments, quoted strings and an angle-addr from the rest
+  const outside = [];
+  let angleAddr = null;
+
+  for (let i = 0; i < value.length; i++) {
+    const char = value[i];
+
+    if (char === '(') {
+      const comment = readDelimited(value, i, '(', ')');
+      if (!comment) {
+        result.error = 'unterminated_comment';
+        return result;
+      }
+      result.comments.push(unescapeQuoted(comment.text).trim());
+      i = comment.end - 1;
+      continue;
+    }
+
+    if (char === '"') {
+      const quoted = readDelimited(value, i, '"', '"');
+      if (!quoted) {
+        result.error = 'unterminated_quote';
+        return result;
+      }
+      outside.push({ type: 'quoted', text: quoted.text });
+      i = quoted.end - 1;
+      continue;
+    }
+
+    if (char === '[') {
+      const literal = readDelimited(value, i, '[', ']');
+      if (!literal) {
+        result.error = 'unterminated_domain_literal';
+        return result;
+      }
+      outside.push({ type: 'text', text: `[${literal.text}]` });
+      i = literal.end - 1;
+      continue;
+    }
+
+    if (char === '<' && angleAddr === null) {
+      const close = value.indexOf('>', i);
+      if (close < 0) {
+        result.error = 'unterminated_angle_addr';
+        return result;
+      }
+      angleAddr = value.slice(i + 1, close);
+      i = close;
+      continue;
+    }
+
+    const last = outside[outside.length - 1];
+    if (last && last.type === 'text') {
+      last.text += char;
+    } else {
+      outside.push({ type: 'text', text: char });
+    }
+  }
+
+  if (angleAddr !== null) {
+    // Everything outside the angle brackets is the display name
+    const displayName = outside
+      .map(token => (token.type === 'quoted' ? unescapeQuoted(token.text) : token.text))
+      .join('')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    // Comments inside the angle-addr are allowed too: <john@acme.com (work)>
+    const inner = parseAddress(angleAddr);
+    result.addrSpec = inner.addrSpec;
+    result.comments.push(...inner.comments);
+    result.displayName = displayName || null;
+    if (result.source !== 'mailto') {
+      result.source = 'angle';
+    }
+  } else {
+    // Re-join the addr-spec, keeping quoted local parts intact. Whitespace around tokens
+    // is folding white space, not part of the address.
+    result.addrSpec = outside
+      .map(token => (token.type === 'quoted' ? `"${token.text}"` : token.text.trim()))
+      .join('');
+  }
+
+  result.extracted = result.addrSpec !== raw;
+  return result;
+}
+
+// Characters that separate addresses in a free-text contact field
+const LIST_SEPARATORS = new Set([',', ';', '|', '/', '\n', '\r', '\t', ' ']);
+
+// Count '@' signs that are not inside quotes or comments
+function countAddressSigns(value) {
+  let count = 0;
+  let inQuotes = false;
+  let commentDepth = 0;
+  for (let i = 0; i < value.length; i++) {
+    const char = value[i];
+    if (char === '\\') {
+      i++;
+    } else if (char === '"' && commentDepth === 0) {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && char === '(') {
+      commentDepth++;
+    } else if (!inQuotes && char === ')' && commentDepth > 0) {
+      commentDepth--;
+    } else if (!inQuotes && commentDepth === 0 && char === '@') {
+      count++;
+    }
+  }
+  return count;
+}
+
+// Split a field such as "a@x.com; b@y.com" or "a@x.com / b@y.com" into one entry per
+// address. Separators inside quotes, comments and angle brackets are left alone, so
+// "Smith, John" <john@acme.com> stays a single address. Input with at most one '@'
+// is returned as is.
+export function splitAddressList(input) {
+  const raw = typeof input === 'string' ? input.trim() : '';
+  if (countAddressSigns(raw) <= 1) {
+    return raw ? [raw] : [];
+  }
+
+  // Cut the input into pieces at top-level separators
+  const pieces = [];
+  let current = '';
+  let inQuotes = false;
+  let commentDepth = 0;
+  let inAngle = false;
+
+  for (let i = 0; i < raw.length; i++) {
+    const char = raw[i];
+
+    if (char === '\\' && i + 1 < raw.length) {
+      current += char + raw[i + 1];
+      i++;
+      continue;
+    }
+
+    if (char === '"' && commentDepth === 0) inQuotes = !inQuotes;
+    else if (!inQuotes && char === '(') commentDepth++;
+    else if (!inQuotes && char === ')' && commentDepth > 0) commentDepth--;
+    else if (!inQuotes && commentDepth === 0 && char === '<') inAngle = true;
+    else if (!inQuotes && commentDepth === 0 && char === '>') inAngle = false;
+
+    if (!inQuotes && commentDepth === 0 && !inAngle && LIST_SEPARATORS.has(char)) {
+      if (current.trim()) pieces.push(current.trim());
+      current = '';
+      continue;
+    }
+
+    current += char;
+  }
+  if (current.trim()) pieces.push(current.trim());
+
+  // Re-assemble: a display name belongs to the <angle-addr> that follows it and a
+  // comment to the address before it; other stray words ("and", "or") are dropped
+  const addresses = [];
+  let pendingName = [];
+
+  for (const piece of pieces) {
+    if (countAddressSigns(piece) > 0) {
+      const startsAngle = piece.startsWith('<');
+      addresses.push(startsAngle && pendingName.length > 0 ? `${pendingName.join(' ')} ${piece}` : piece);
+      pendingName = [];
+    } else if (piece.startsWith('(') && addresses.length > 0 && pendingName.length === 0) {
+      addresses[addresses.length - 1] += ` ${piece}`;
+    } else {
+      pendingName.push(piece);
+    }
+  }
+
+  return addresses;
+}
@@ -0,0 +1,70 @@
+// src/services/address-selection.js
+
+// Free mailbox providers; any other domain counts as a corporate address
+const FREE_MAIL_DOMAINS = new Set([
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'ymail.com', 'rocketmail.com', 'yahoo.com.au',
+  'yahoo.co.uk', 'yahoo.co.nz', 'hotmail.com', 'hotmail.com.au', 'hotmail.co.uk', 'hotmail.co.nz',
+  'outlook.com', 'outlook.com.au', 'outlook.co.nz', 'live.com', 'live.com.au', 'live.co.uk',
+  'msn.com', 'icloud.com', 'me.com', 'mac.com', 'aol.com', 'protonmail.com', 'proton.me', 'pm.me',
+  'gmx.com', 'gmx.net', 'mail.com', 'zoho.com', 'yandex.com', 'fastmail.com', 'fastmail.fm',
+  'bigpond.com', 'bigpond.net.au', 'optusnet.com.au', 'iinet.net.au', 'internode.on.net',
+  'tpg.com.au', 'xtra.co.nz', 'comcast.net', 'btinternet.com', 'sky.com', 'virginmedia.com'
+]);
+
+export const PRIMARY_ADDRESS_POLICIES = ['first_valid', 'prefer_corporate', 'lowest_risk'];
+
+// Lower is better
+const STATUS_RISK = {
+  valid: 0,
+  unknown: 1,
+  check_failed: 2,
+  invalid: 3
+};
+
+export function isFreeMailDomain(domain) {
+  return FREE_MAIL_DOMAINS.has(String(domain || '').toLowerCase());
+}
+
+// Bounce-risk score for a validation result: the status dominates, then the flags
+// that make an accepted address less useful
+export function getBounceRisk(result) {
+  let risk = (STATUS_RISK[result.status] ?? 2) * 10;
+  if (result.isDisposable) risk += 3;
+  if (result.subStatus === 'catch_all' || result.isCatchAll) risk += 2;
+  if (result.isRoleAccount) risk += 1;
+  return risk;
+}
+
+function byRisk(a, b) {
+  return getBounceRisk(a.result) - getBounceRisk(b.result) || a.index - b.index;
+}
+
+// Pick the primary address from per-address validation results.
+// Returns the index of the chosen result.
+export function selectPrimaryAddress(results, policy = 'first_valid') {
+  const entries = results.map((result, index) => ({ result, index }));
+  if (entries.length === 0) return -1;
+
+  if (policy === 'first_valid') {
+    const firstValid = entries.find(entry => entry.result.status === 'valid');
+    if (firstValid) return firstValid.index;
+  }
+
+  if (policy === 'prefer_corporate') {
+    const candidates = entries.filter(entry => entry.result.status !== 'invalid');
+    const corporate = candidates
+      .filter(entry => {
+        const domain = entry.result.domainAscii || entry.result.currentEmail?.split('@').pop();
+        return !isFreeMailDomain(domain);
+      })
+      .sort(byRisk);
+    if (corporate.length > 0 && corporate[0].result.status === 'valid') return corporate[0].index;
+
+    const validFreeMail = candidates.filter(entry => entry.result.status === 'valid').sort(byRisk);
+    if (validFreeMail.length > 0) return validFreeMail[0].index;
+    if (corporate.length > 0) return corporate[0].index;
+  }
+
+  // lowest_risk, and the fallback when the other policies find nothing valid
+  return [...entries].sort(byRisk)[0].index;
+}
@@ -37,12 +37,14 @@ export class ClientManagerService {
             const apiKey = process.env[keyKey];
             const dailyEmailLimit = parseInt(process.env[emailLimitKey] || '10000', 10);
             const name = process.env[nameKey] || `Client ${clientNum}`;
+            const settings = this.loadClientSettings(clientNum);
             
             clients.set(apiKey, {
               clientId,
               apiKey,
               dailyEmailLimit,
-              name
+              name,
+              settings
             });
             
             // Initialize usage tracking for this client
@@ -61,6 +63,63 @@ export class ClientManagerService {
       return clients;
     }
     
+    // Load optional per-client validation settings (CLIENT_1_PRIMARY_PROVIDER, etc.)
+    // Unset values are left undefined so the validation service defaults apply
+    loadClientSettings(clientNum) {
+      const prefix = `CLIENT_${clientNum}_`;
+      const readString = (key) => {
+        const value = process.env[`${prefix}${key}`];
+        return value ? value.trim().toLowerCase() : undefined;
+      };
+      const readNumber = (key) => {
+        const value = parseFloat(readString(key));
+        return Number.isNaN(value) ? undefined : value;
+      };
+      const readList = (key) => {
+        const value = readString(key);
+        return value === undefined ? undefined : value.split(',').map(item => item.trim()).filter(Boolean);
+      };
+      const readBoolean = (key) => {
+        const value = readString(key);
+        return value === undefined ? undefined : value === 'true';
+      };
+      // Freshness policy: CLIENT_1_STORED_VALID_TTL_DAYS=90, CLIENT_1_STORED_INVALID_TTL_DAYS=...
+      const readTtlDays = () => {
+        const ttlDays = Object.fromEntries(
+          ['valid', 'invalid', 'unknown', 'check_failed']
+            .map(status => [status, readNumber(`STORED_${status.toUpperCase()}_TTL_DAYS`)])
+            .filter(([, days]) => days !== undefined)
+        );
+        return Object.keys(ttlDays).length > 0 ? ttlDays : undefined;
+      };
+      
+      return {
+        primaryProvider: readString('PRIMARY_PROVIDER'),
+        fallbackProvider: readString('FALLBACK_PROVIDER'),
+        disposablePolicy: readString('DISPOSABLE_POLICY'),
+        downgradeRoleAccounts: readBoolean('DOWNGRADE_ROLE_ACCOUNTS'),
+        typoAutoCorrectThreshold: readNumber('TYPO_AUTO_CORRECT_THRESHOLD'),
+        localPartNormalizations: readList('LOCAL_PART_NORMALIZATIONS'),
+        normalizeProviders: readList('NORMALIZE_PROVIDERS'),
+        primaryAddressPolicy: readString('PRIMARY_ADDRESS_POLICY'),
+        autoApplyRepairs: readBoolean('AUTO_APPLY_FORMAT_REPAIRS'),
+        region: readString('REGION'),
+        storedResultTtlDays: readTtlDays(),
+        staleWhileRevalidate: readBoolean('STALE_WHILE_REVALIDATE')
+      };
+    }
+    
+    // Map of clientId -> settings, used to configure the email validation service
+    getClientSettingsMap() {
+      const settingsMap = {};
+      
+      for (const client of this.clients.values()) {
+        settingsMap[client.clientId] = { ...client.settings };
+      }
+      
+      return settingsMap;
+    }
+    
     // Validate API key against stored client credentials
     validateApiKey(apiKey) {
       if (!apiKey) {
@@ -0,0 +1,42 @@
+// src/services/concurrency-limiter.js
+
+// Caps how many calls to one backend (Supabase, a verification provider) run at once.
+// Calls over the limit wait in arrival order for a free slot.
+export class ConcurrencyLimiter {
+  constructor(limit, name = 'limiter') {
+    this.limit = Math.max(1, limit || 1);
+    this.name = name;
+    this.active = 0;
+    this.waiters = [];
+  }
+
+  async acquire() {
+    if (this.active < this.limit) {
+      this.active++;
+      return;
+    }
+
+    await new Promise(resolve => this.waiters.push(resolve));
+  }
+
+  release() {
+    const next = this.waiters.shift();
+    if (next) {
+      // Hand the slot straight to the next waiter
+      next();
+      return;
+    }
+
+    this.active--;
+  }
+
+  // Run fn once a slot is free and release the slot when it settles
+  async run(fn) {
+    await this.acquire();
+    try {
+      return await fn();
+    } finally {
+      this.release();
+    }
+  }
+}
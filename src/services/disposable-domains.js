@@ -0,0 +1,180 @@
+// src/services/disposable-domains.js
+import { getSupabaseClient } from './supabase-client.js';
+
+// Well-known disposable/temporary mailbox domains. Subdomains of these are also
+// treated as disposable. Extend or override per deployment via the disposable_domains table.
+const BUNDLED_DISPOSABLE_DOMAINS = [
+  '0-mail.com', '10minutemail.com', '10minutemail.net', '20minutemail.com', '33mail.com',
+  'anonbox.net', 'burnermail.io', 'discard.email', 'discardmail.com', 'dispostable.com',
+  'dropmail.me', 'emailondeck.com', 'fakeinbox.com', 'fakemail.net', 'getairmail.com',
+  'getnada.com', 'guerrillamail.com', 'guerrillamail.net', 'guerrillamail.org',
+  'guerrillamail.biz', 'guerrillamail.de', 'guerrillamailblock.com', 'grr.la', 'harakirimail.com',
+  'incognitomail.org', 'jetable.org', 'mailcatch.com', 'maildrop.cc', 'mailinator.com',
+  'mailinator.net', 'mailinator2.com', 'mailnesia.com', 'mailnull.com', 'mailsac.com',
+  'mintemail.com', 'mohmal.com', 'moakt.com', 'mytemp.email', 'nada.email', 'sharklasers.com',
+  'spam4.me', 'spambog.com', 'spamgourmet.com', 'spamex.com', 'tempail.com', 'tempinbox.com',
+  'temp-mail.org', 'temp-mail.io', 'tempmail.com', 'tempmail.net', 'tempmail.dev', 'tempmailo.com',
+  'tempr.email', 'throwawaymail.com', 'trashmail.com', 'trashmail.de', 'trashmail.net',
+  'trbvm.com', 'wegwerfmail.de', 'yopmail.com', 'yopmail.fr', 'yopmail.net', 'mail.tm',
+  'emailfake.com', 'fexpost.com', 'inboxkitten.com', 'mailpoof.com', 'tmail.ws', 'tmpmail.org',
+  'tmpmail.net', 'luxusmail.org', 'spamdecoy.net', 'mvrht.net', 'byom.de', 'einrot.com',
+  'mailforspam.com', 'mailtemp.info', 'mytrashmail.com', 'notmailinator.com', 'objectmail.com',
+  'proxymail.eu', 'rcpt.at', 'sogetthis.com', 'spamherelots.com', 'suremail.info',
+  'thisisnotmyrealemail.com', 'veryrealemail.com', 'zetmail.com'
+];
+
+// Wildcard patterns: "*" matches one or more domain labels or characters within a label
+const BUNDLED_DISPOSABLE_PATTERNS = [
+  'guerrillamail.*',
+  'yopmail.*',
+  '10minutemail.*',
+  'temp-mail.*',
+  'tempmail*.com',
+  'mailinator*.com'
+];
+
+// Classifies domains as disposable using the bundled list and patterns, with the
+// Supabase disposable_domains table able to add domains or exempt bundled ones.
+export class DisposableDomainService {
+  constructor(config = {}) {
+    this.enabled = config.enabled !== false;
+    this.tableName = config.tableName || 'disposable_domains';
+    this.refreshIntervalMs = config.refreshIntervalMs || 10 * 60 * 1000; // 10 minutes
+
+    this.bundledDomains = new Set([...BUNDLED_DISPOSABLE_DOMAINS, ...(config.extraDomains || [])]);
+    this.bundledPatterns = [...BUNDLED_DISPOSABLE_PATTERNS, ...(config.extraPatterns || [])]
+      .map(pattern => this.compilePattern(pattern));
+
+    // Overrides from Supabase: domain -> isDisposable, plus compiled wildcard rows
+    this.overrides = new Map();
+    this.overridePatterns = [];
+    this.overridesLoadedAt = 0;
+    this.overridesLoading = null;
+
+    this.supabase = getSupabaseClient(config, 'DISPOSABLE_DOMAINS');
+    this.supabaseEnabled = !!this.supabase;
+
+    console.log('DISPOSABLE_DOMAINS_INIT: Disposable domain classifier initialized', {
+      enabled: this.enabled,
+      bundledDomains: this.bundledDomains.size,
+      bundledPatterns: this.bundledPatterns.length,
+      overridesEnabled: this.supabaseEnabled
+    });
+  }
+
+  compilePattern(pattern) {
+    const normalized = String(pattern).trim().toLowerCase();
+    const source = normalized
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('[a-z0-9.-]+');
+    return { pattern: normalized, regex: new RegExp(`^${source}$`) };
+  }
+
+  // Load the override table, at most once per refresh interval. Failures keep the previous overrides.
+  async loadOverrides() {
+    if (!this.supabaseEnabled || !this.supabase) {
+      return;
+    }
+
+    if (Date.now() - this.overridesLoadedAt < this.refreshIntervalMs) {
+      return;
+    }
+
+    if (!this.overridesLoading) {
+      this.overridesLoading = this.fetchOverrides().finally(() => {
+        this.overridesLoading = null;
+      });
+    }
+
+    await this.overridesLoading;
+  }
+
+  async fetchOverrides() {
+    try {
+      const { data, error } = await this.supabase
+        .from(this.tableName)
+        .select('domain, is_disposable');
+
+      if (error) {
+        console.error('DISPOSABLE_DOMAINS_ERROR: Override query failed', {
+          error: error.message,
+          code: error.code
+        });
+        return;
+      }
+
+      const overrides = new Map();
+      const overridePatterns = [];
+      for (const row of data || []) {
+        if (!row.domain) continue;
+        const domain = row.domain.trim().toLowerCase();
+        const isDisposable = row.is_disposable !== false;
+
+        if (domain.includes('*')) {
+          overridePatterns.push({ ...this.compilePattern(domain), isDisposable });
+        } else {
+          overrides.set(domain, isDisposable);
+        }
+      }
+
+      this.overrides = overrides;
+      this.overridePatterns = overridePatterns;
+      this.overridesLoadedAt = Date.now();
+
+      console.log('DISPOSABLE_DOMAINS: Overrides loaded', {
+        domains: overrides.size,
+        patterns: overridePatterns.length
+      });
+    } catch (error) {
+      console.error('DISPOSABLE_DOMAINS_ERROR: Exception loading overrides', {
+        error: error.message
+      });
+    }
+  }
+
+  // The domain itself followed by each parent domain, e.g. a.b.com -> [a.b.com, b.com]
+  getDomainCandidates(domain) {
+    const labels = domain.split('.');
+    const candidates = [];
+    for (let i = 0; i < labels.length - 1; i++) {
+      candidates.push(labels.slice(i).join('.'));
+    }
+    return candidates;
+  }
+
+  // Returns { isDisposable, source, matched } where source is override | bundled | pattern
+  async classify(domain) {
+    if (!this.enabled || !domain) {
+      return { isDisposable: false, source: null, matched: null };
+    }
+
+    const normalizedDomain = domain.toLowerCase().replace(/\.$/, '');
+    await this.loadOverrides();
+
+    const candidates = this.getDomainCandidates(normalizedDomain);
+
+    // Overrides win, so a bundled domain can be exempted with is_disposable = false
+    for (const candidate of candidates) {
+      if (this.overrides.has(candidate)) {
+        return { isDisposable: this.overrides.get(candidate), source: 'override', matched: candidate };
+      }
+    }
+    const overridePattern = this.overridePatterns.find(entry => entry.regex.test(normalizedDomain));
+    if (overridePattern) {
+      return { isDisposable: overridePattern.isDisposable, source: 'override', matched: overridePattern.pattern };
+    }
+
+    const bundledMatch = candidates.find(candidate => this.bundledDomains.has(candidate));
+    if (bundledMatch) {
+      return { isDisposable: true, source: 'bundled', matched: bundledMatch };
+    }
+
+    const patternMatch = this.bundledPatterns.find(entry => entry.regex.test(normalizedDomain));
+    if (patternMatch) {
+      return { isDisposable: true, source: 'pattern', matched: patternMatch.pattern };
+    }
+
+    return { isDisposable: false, source: null, matched: null };
+  }
+}
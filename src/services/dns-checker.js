@@ -0,0 +1,172 @@
+// src/services/dns-checker.js
+import { Resolver } from 'node:dns/promises';
+
+// DNS error codes that mean "the name exists but has no records of this type"
+const NO_DATA_CODES = new Set(['ENODATA']);
+// DNS error codes that mean "the name does not exist"
+const NOT_FOUND_CODES = new Set(['ENOTFOUND', 'NXDOMAIN']);
+
+// Resolves MX records for a domain, falling back to A/AAAA (implicit MX, RFC 5321)
+// and recognising null MX records (RFC 7505). Answers are cached per domain.
+export class DnsCheckService {
+  constructor(config = {}) {
+    this.enabled = config.enabled !== false;
+    this.servers = Array.isArray(config.servers) ? config.servers.filter(Boolean) : [];
+    this.timeoutMs = config.timeoutMs || 2000;
+    this.tries = config.tries || 2;
+
+    // Cache lifetimes: live domains change rarely, dead ones are rechecked sooner
+    this.positiveTtlMs = config.positiveTtlMs || 60 * 60 * 1000;  // 1 hour
+    this.negativeTtlMs = config.negativeTtlMs || 15 * 60 * 1000;  // 15 minutes
+    this.maxCacheEntries = config.maxCacheEntries || 5000;
+
+    this.resolver = new Resolver({ timeout: this.timeoutMs, tries: this.tries });
+    if (this.servers.length > 0) {
+      this.resolver.setServers(this.servers);
+    }
+
+    // domain -> { result, expiresAt }
+    this.cache = new Map();
+
+    console.log('DNS_CHECK_INIT: DNS check service initialized', {
+      enabled: this.enabled,
+      servers: this.servers.length > 0 ? this.servers : 'system default',
+      timeoutMs: this.timeoutMs,
+      positiveTtlMs: this.positiveTtlMs,
+      negativeTtlMs: this.negativeTtlMs
+    });
+  }
+
+  getCached(domain) {
+    const entry = this.cache.get(domain);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.cache.delete(domain);
+      return null;
+    }
+
+    return entry.result;
+  }
+
+  setCached(domain, result) {
+    // Transient failures are not cached so the next request retries the lookup
+    if (result.status === 'unknown') return;
+
+    if (this.cache.size >= this.maxCacheEntries) {
+      // Map preserves insertion order, so the first key is the oldest entry
+      this.cache.delete(this.cache.keys().next().value);
+    }
+
+    const ttl = result.status === 'valid' ? this.positiveTtlMs : this.negativeTtlMs;
+    this.cache.set(domain, { result, expiresAt: Date.now() + ttl });
+  }
+
+  // Returns { domain, status, subStatus, mxRecords, implicitMx, cached }
+  // status: valid | invalid | unknown; subStatus: no_mx | null_mx | nxdomain | dns_error
+  async checkDomain(domain) {
+    if (!this.enabled || !domain) {
+      return { domain, status: 'unknown', subStatus: null, skipped: true };
+    }
+
+    const normalizedDomain = domain.toLowerCase().replace(/\.$/, '');
+    const cached = this.getCached(normalizedDomain);
+    if (cached) {
+      console.log('DNS_CHECK: Using cached answer', {
+        domain: normalizedDomain,
+        status: cached.status,
+        subStatus: cached.subStatus
+      });
+      return { ...cached, cached: true };
+    }
+
+    const result = await this.lookup(normalizedDomain);
+    this.setCached(normalizedDomain, result);
+
+    console.log('DNS_CHECK: Lookup completed', {
+      domain: normalizedDomain,
+      status: result.status,
+      subStatus: result.subStatus,
+      mxCount: result.mxRecords?.length || 0,
+      implicitMx: result.implicitMx || false
+    });
+
+    return { ...result, cached: false };
+  }
+
+  async lookup(domain) {
+    try {
+      const mxRecords = await this.resolver.resolveMx(domain);
+      const sorted = [...mxRecords].sort((a, b) => a.priority - b.priority);
+
+      // RFC 7505: a single MX with an empty ("." ) exchange declares no mail service
+      const isNullMx = sorted.length === 1 && (sorted[0].exchange === '' || sorted[0].exchange === '.');
+      if (isNullMx) {
+        return { domain, status: 'invalid', subStatus: 'null_mx', mxRecords: sorted };
+      }
+
+      const usable = sorted.filter(record => record.exchange && record.exchange !== '.');
+      if (usable.length > 0) {
+        return { domain, status: 'valid', subStatus: null, mxRecords: usable };
+      }
+
+      return this.lookupAddressFallback(domain);
+    } catch (error) {
+      if (NO_DATA_CODES.has(error.code)) {
+        return this.lookupAddressFallback(domain);
+      }
+
+      if (NOT_FOUND_CODES.has(error.code)) {
+        return { domain, status: 'invalid', subStatus: 'nxdomain', mxRecords: [] };
+      }
+
+      console.error('DNS_CHECK_ERROR: MX lookup failed', {
+        domain,
+        code: error.code,
+        error: error.message
+      });
+      return { domain, status: 'unknown', subStatus: 'dns_error', mxRecords: [], error: error.code || error.message };
+    }
+  }
+
+  // No MX records: mail is delivered to the domain's A/AAAA address if it has one
+  async lookupAddressFallback(domain) {
+    const [ipv4, ipv6] = await Promise.allSettled([
+      this.resolver.resolve4(domain),
+      this.resolver.resolve6(domain)
+    ]);
+
+    const addresses = [
+      ...(ipv4.status === 'fulfilled' ? ipv4.value : []),
+      ...(ipv6.status === 'fulfilled' ? ipv6.value : [])
+    ];
+
+    if (addresses.length > 0) {
+      return {
+        domain,
+        status: 'valid',
+        subStatus: null,
+        mxRecords: [{ exchange: domain, priority: 0 }],
+        implicitMx: true,
+        addresses
+      };
+    }
+
+    const errors = [ipv4, ipv6].filter(r => r.status === 'rejected').map(r => r.reason);
+    if (errors.some(error => NOT_FOUND_CODES.has(error.code))) {
+      return { domain, status: 'invalid', subStatus: 'nxdomain', mxRecords: [] };
+    }
+
+    if (errors.every(error => NO_DATA_CODES.has(error.code))) {
+      return { domain, status: 'invalid', subStatus: 'no_mx', mxRecords: [] };
+    }
+
+    return {
+      domain,
+      status: 'unknown',
+      subStatus: 'dns_error',
+      mxRecords: [],
+      error: errors.map(error => error.code || error.message).join(', ')
+    };
+  }
+}
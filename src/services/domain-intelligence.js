@@ -0,0 +1,136 @@
+// src/services/domain-intelligence.js
+import { getSupabaseClient } from './supabase-client.js';
+
+// Per-domain verdicts that hold for every address on the domain, stored in the
+// domain_intelligence table. Today that is catch-all detection: once a provider or the SMTP
+// probe has seen a domain accept everything, paid checks on it are skipped for catchAllTtlDays.
+export class DomainIntelligenceService {
+  constructor(config = {}) {
+    this.enabled = config.enabled !== false;
+    this.tableName = config.tableName || 'domain_intelligence';
+    this.catchAllTtlDays = config.catchAllTtlDays || 30;
+    // Rows are also kept in memory briefly so a batch on one domain reads the table once
+    this.memoryTtlMs = config.memoryTtlMs || 5 * 60 * 1000;
+    this.memory = new Map();
+
+    this.supabase = getSupabaseClient(config, 'DOMAIN_INTELLIGENCE');
+    this.supabaseEnabled = !!this.supabase;
+
+    console.log('DOMAIN_INTELLIGENCE_INIT: Domain intelligence initialized', {
+      enabled: this.enabled,
+      catchAllTtlDays: this.catchAllTtlDays,
+      storesInSupabase: this.supabaseEnabled
+    });
+  }
+
+  remember(domain, row) {
+    this.memory.set(domain, { row, cachedAt: Date.now() });
+  }
+
+  async getDomainRecord(domain) {
+    const cached = this.memory.get(domain);
+    if (cached && Date.now() - cached.cachedAt < this.memoryTtlMs) {
+      return cached.row;
+    }
+
+    if (!this.supabaseEnabled || !this.supabase) {
+      return cached?.row || null;
+    }
+
+    try {
+      const { data, error } = await this.supabase
+        .from(this.tableName)
+        .select('domain, is_catch_all, catch_all_source, catch_all_checked_at')
+        .eq('domain', domain)
+        .maybeSingle();
+
+      if (error) {
+        console.error('DOMAIN_INTELLIGENCE_ERROR: Lookup failed', {
+          domain,
+          error: error.message,
+          code: error.code
+        });
+        return cached?.row || null;
+      }
+
+      this.remember(domain, data || null);
+      return data || null;
+    } catch (error) {
+      console.error('DOMAIN_INTELLIGENCE_ERROR: Exception during lookup', {
+        domain,
+        error: error.message
+      });
+      return cached?.row || null;
+    }
+  }
+
+  // Returns { isCatchAll, source, checkedAt, ageDays } when the domain was seen as catch-all
+  // within the TTL, otherwise null
+  async getCatchAllVerdict(domain) {
+    if (!this.enabled || !domain) {
+      return null;
+    }
+
+    const row = await this.getDomainRecord(domain.toLowerCase());
+    if (!row || row.is_catch_all !== true || !row.catch_all_checked_at) {
+      return null;
+    }
+
+    const ageMs = Date.now() - new Date(row.catch_all_checked_at).getTime();
+    if (!(ageMs >= 0) || ageMs > this.catchAllTtlDays * 24 * 60 * 60 * 1000) {
+      return null;
+    }
+
+    return {
+      isCatchAll: true,
+      source: row.catch_all_source || null,
+      checkedAt: row.catch_all_checked_at,
+      ageDays: Math.floor(ageMs / (24 * 60 * 60 * 1000))
+    };
+  }
+
+  // Store a catch-all verdict (true or false) for the domain. Failures are logged, not thrown.
+  async recordCatchAll(domain, isCatchAll, source) {
+    if (!this.enabled || !domain) {
+      return;
+    }
+
+    const row = {
+      domain: domain.toLowerCase(),
+      is_catch_all: isCatchAll,
+      catch_all_source: source || null,
+      catch_all_checked_at: new Date().toISOString()
+    };
+    this.remember(row.domain, row);
+
+    if (!this.supabaseEnabled || !this.supabase) {
+      return;
+    }
+
+    try {
+      const { error } = await this.supabase
+        .from(this.tableName)
+        .upsert(row, { onConflict: 'domain' });
+
+      if (error) {
+        console.error('DOMAIN_INTELLIGENCE_ERROR: Failed to record catch-all verdict', {
+          domain: row.domain,
+          error: error.message,
+          code: error.code
+        });
+        return;
+      }
+
+      console.log('DOMAIN_INTELLIGENCE: Recorded catch-all verdict', {
+        domain: row.domain,
+        isCatchAll,
+        source
+      });
+    } catch (error) {
+      console.error('DOMAIN_INTELLIGENCE_ERROR: Exception recording catch-all verdict', {
+        domain: row.domain,
+        error: error.message
+      });
+    }
+  }
+}
@@ -0,0 +1,293 @@
+// src/services/domain-suggester.js
+import { getSupabaseClient } from './supabase-client.js';
+import { isHomeRegionDomain } from './region-packs.js';
+
+// Popular mailbox domains with a relative popularity weight (0-1). Domains from the
+// common_valid_domains table are added at runtime.
+const POPULAR_DOMAINS = {
+  'gmail.com': 1.0,
+  'yahoo.com': 0.7,
+  'hotmail.com': 0.65,
+  'outlook.com': 0.6,
+  'icloud.com': 0.5,
+  'live.com': 0.35,
+  'aol.com': 0.3,
+  'msn.com': 0.2,
+  'me.com': 0.2,
+  'googlemail.com': 0.2,
+  'protonmail.com': 0.15,
+  'yahoo.co.uk': 0.25,
+  'hotmail.co.uk': 0.2,
+  'yahoo.com.au': 0.25,
+  'bigpond.com': 0.3,
+  'bigpond.net.au': 0.2,
+  'optusnet.com.au': 0.25,
+  'outlook.com.au': 0.2,
+  'hotmail.com.au': 0.15,
+  'comcast.net': 0.15,
+  'gmx.com': 0.1,
+  'mail.com': 0.1,
+  // Provider aliases: they sit one or two edits away from gmail.com/yahoo.com but are
+  // real mailboxes, so they must never be "corrected" into the bigger provider
+  'ymail.com': 0.1,
+  'rocketmail.com': 0.1,
+  'yahoo.co.in': 0.1,
+  'email.com': 0.1,
+  'usa.com': 0.05,
+  'post.com': 0.05,
+  'myself.com': 0.05,
+  'gmx.net': 0.1,
+  'gmx.de': 0.1,
+  'zoho.com': 0.1,
+  'fastmail.com': 0.1
+};
+
+// Unknown domains loaded from the table without a popularity value
+const DEFAULT_POPULARITY = 0.1;
+
+// Popularity added to candidates in the client's home region
+const HOME_REGION_BOOST = 0.3;
+
+// QWERTY rows used to decide whether two characters are neighbouring keys
+const KEYBOARD_ROWS = ['1234567890-', 'qwertyuiop', 'asdfghjkl', 'zxcvbnm'];
+
+function buildKeyboardAdjacency() {
+  const positions = new Map();
+  KEYBOARD_ROWS.forEach((row, rowIndex) => {
+    [...row].forEach((key, columnIndex) => positions.set(key, { row: rowIndex, column: columnIndex }));
+  });
+
+  const adjacency = new Map();
+  for (const [key, position] of positions) {
+    const neighbours = new Set();
+    for (const [other, otherPosition] of positions) {
+      if (other === key) continue;
+      const rowDistance = Math.abs(position.row - otherPosition.row);
+      // Rows are staggered, so the key above/below and one column over also count as adjacent
+      if (rowDistance <= 1 && Math.abs(position.column - otherPosition.column) <= 1) {
+        neighbours.add(other);
+      }
+    }
+    adjacency.set(key, neighbours);
+  }
+  return adjacency;
+}
+
+const KEYBOARD_ADJACENCY = buildKeyboardAdjacency();
+
+// Suggests the most likely intended domain for a misspelt one using Damerau-Levenshtein
+// distance with cheaper substitutions between neighbouring keys, weighted by popularity.
+export class DomainSuggestionService {
+  constructor(config = {}) {
+    this.enabled = config.enabled !== false;
+    this.maxDistance = config.maxDistance || 2;
+    this.adjacentKeyCost = config.adjacentKeyCost ?? 0.5;
+    this.tableName = config.tableName || 'common_valid_domains';
+    this.refreshIntervalMs = config.refreshIntervalMs || 10 * 60 * 1000; // 10 minutes
+
+    // domain -> popularity (0-1)
+    this.domains = new Map(Object.entries({ ...POPULAR_DOMAINS, ...(config.extraDomains || {}) }));
+    this.domainsLoadedAt = 0;
+    this.domainsLoading = null;
+    // Shared snapshot of common_valid_domains; when given, it replaces our own table load
+    this.referenceData = config.referenceData || null;
+    this.referenceVersion = 0;
+
+    this.supabase = getSupabaseClient(config, 'DOMAIN_SUGGESTER');
+    this.supabaseEnabled = !!this.supabase;
+
+    console.log('DOMAIN_SUGGESTER_INIT: Domain suggestion service initialized', {
+      enabled: this.enabled,
+      maxDistance: this.maxDistance,
+      bundledDomains: this.domains.size,
+      loadsFromSupabase: this.supabaseEnabled
+    });
+  }
+
+  // Merge common_valid_domains into the candidate list, at most once per refresh interval
+  async loadDomains() {
+    if (this.referenceData?.enabled) {
+      await this.referenceData.ensureFresh();
+      if (this.referenceData.version !== this.referenceVersion && this.referenceData.hasTable('commonValidDomains')) {
+        const rows = [...this.referenceData.getCommonValidDomains()].map(([domain, popularity]) => ({ domain, popularity }));
+        this.domains = this.mergeDomains(rows);
+        this.referenceVersion = this.referenceData.version;
+      }
+      return;
+    }
+    
+    if (!this.supabaseEnabled || !this.supabase) {
+      return;
+    }
+
+    if (Date.now() - this.domainsLoadedAt < this.refreshIntervalMs) {
+      return;
+    }
+
+    if (!this.domainsLoading) {
+      this.domainsLoading = this.fetchDomains().finally(() => {
+        this.domainsLoading = null;
+      });
+    }
+
+    await this.domainsLoading;
+  }
+
+  async fetchDomains() {
+    try {
+      const { data, error } = await this.supabase
+        .from(this.tableName)
+        .select('*');
+
+      if (error) {
+        console.error('DOMAIN_SUGGESTER_ERROR: Domain query failed', {
+          error: error.message,
+          code: error.code
+        });
+        return;
+      }
+
+      this.domains = this.mergeDomains(data || []);
+      this.domainsLoadedAt = Date.now();
+
+      console.log('DOMAIN_SUGGESTER: Candidate domains loaded', { count: this.domains.size });
+    } catch (error) {
+      console.error('DOMAIN_SUGGESTER_ERROR: Exception loading domains', {
+        error: error.message
+      });
+    }
+  }
+
+  // Bundled popular domains plus table rows. Popularity is optional; when present it is
+  // scaled against the largest value.
+  mergeDomains(rows) {
+    const validRows = rows.filter(row => row.domain);
+    const maxPopularity = Math.max(0, ...validRows.map(row => Number(row.popularity) || 0));
+
+    const domains = new Map(Object.entries(POPULAR_DOMAINS));
+    for (const row of validRows) {
+      const domain = row.domain.trim().toLowerCase();
+      const popularity = maxPopularity > 0 && Number(row.popularity) > 0
+        ? Number(row.popularity) / maxPopularity
+        : domains.get(domain) ?? DEFAULT_POPULARITY;
+      domains.set(domain, popularity);
+    }
+    return domains;
+  }
+
+  // Candidate domains (domain -> popularity), including common_valid_domains
+  async getKnownDomains() {
+    await this.loadDomains();
+    return this.domains;
+  }
+
+  substitutionCost(a, b) {
+    if (a === b) return 0;
+    return KEYBOARD_ADJACENCY.get(a)?.has(b) ? this.adjacentKeyCost : 1;
+  }
+
+  // Optimal string alignment variant of Damerau-Levenshtein with weighted substitutions
+  distance(source, target) {
+    const rows = source.length + 1;
+    const columns = target.length + 1;
+    const d = Array.from({ length: rows }, () => new Array(columns).fill(0));
+
+    for (let i = 0; i < rows; i++) d[i][0] = i;
+    for (let j = 0; j < columns; j++) d[0][j] = j;
+
+    for (let i = 1; i < rows; i++) {
+      for (let j = 1; j < columns; j++) {
+        d[i][j] = Math.min(
+          d[i - 1][j] + 1,
+          d[i][j - 1] + 1,
+          d[i - 1][j - 1] + this.substitutionCost(source[i - 1], target[j - 1])
+        );
+
+        if (i > 1 && j > 1 && source[i - 1] === target[j - 2] && source[i - 2] === target[j - 1]) {
+          d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+        }
+      }
+    }
+
+    return d[rows - 1][columns - 1];
+  }
+
+  // Candidates for one lookup: the known domains plus the region pack's domains, with
+  // home-region candidates boosted
+  getCandidates(regionPack = null) {
+    if (!regionPack) {
+      return this.domains;
+    }
+
+    const candidates = new Map(this.domains);
+    for (const [domain, popularity] of Object.entries(regionPack.popularDomains)) {
+      candidates.set(domain, Math.max(candidates.get(domain) ?? 0, popularity));
+    }
+    for (const [domain, popularity] of candidates) {
+      if (isHomeRegionDomain(domain, regionPack)) {
+        candidates.set(domain, Math.min(1, popularity + HOME_REGION_BOOST));
+      }
+    }
+    return candidates;
+  }
+
+  // Returns { candidate, distance, confidence } or null when nothing is close enough.
+  // options.regionPack biases the choice towards the client's home-region domains.
+  async suggest(domain, options = {}) {
+    const { regionPack = null } = options;
+
+    if (!this.enabled || !domain) {
+      return null;
+    }
+
+    const normalizedDomain = domain.toLowerCase();
+    await this.loadDomains();
+
+    const candidates = this.getCandidates(regionPack);
+    if (candidates.has(normalizedDomain)) {
+      return null;
+    }
+
+    const matches = [];
+    for (const [candidate, popularity] of candidates) {
+      if (Math.abs(candidate.length - normalizedDomain.length) > this.maxDistance) {
+        continue;
+      }
+
+      const distance = this.distance(normalizedDomain, candidate);
+      if (distance === 0 || distance > this.maxDistance) {
+        continue;
+      }
+
+      // Closeness relative to the domain length, nudged towards popular domains
+      const closeness = 1 - distance / Math.max(candidate.length, normalizedDomain.length);
+      const confidence = closeness * (0.8 + 0.2 * popularity);
+      matches.push({ candidate, distance, confidence });
+    }
+
+    if (matches.length === 0) {
+      return null;
+    }
+
+    matches.sort((a, b) => b.confidence - a.confidence);
+    const [best, runnerUp] = matches;
+
+    // Two near-equal candidates means we can't tell which one was meant
+    if (runnerUp && best.confidence - runnerUp.confidence < 0.05) {
+      best.confidence *= 0.8;
+    }
+
+    best.confidence = Math.round(best.confidence * 1000) / 1000;
+
+    console.log('DOMAIN_SUGGESTER: Suggested domain correction', {
+      domain: normalizedDomain,
+      candidate: best.candidate,
+      distance: best.distance,
+      confidence: best.confidence,
+      alternatives: matches.length - 1,
+      region: regionPack?.region || null
+    });
+
+    return best;
+  }
+}
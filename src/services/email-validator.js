@@ -1,5 +1,59 @@
 // src/services/email-validator.js
-import { createClient } from '@supabase/supabase-js';
+import { getSupabaseClient } from './supabase-client.js';
+import { HubSpotClient } from './hubspot-client.js';
+import { createVerificationProvider } from './verification-providers/index.js';
+import { DnsCheckService } from './dns-checker.js';
+import { SmtpProbeService } from './smtp-prober.js';
+import { DisposableDomainService } from './disposable-domains.js';
+import { RoleAccountService } from './role-accounts.js';
+import { DomainSuggestionService } from './domain-suggester.js';
+import { LocalPartNormalizationService } from './local-part-normalizer.js';
+import { FormatRepairService } from './format-repairer.js';
+import { ReferenceDataCache } from './reference-data.js';
+import { getDomainParts } from './public-suffix.js';
+import { getRegionPack, applyRegionPack } from './region-packs.js';
+import { DomainIntelligenceService } from './domain-intelligence.js';
+import { WebhookQueueService } from './webhook-queue.js';
+import { ConcurrencyLimiter } from './concurrency-limiter.js';
+import { isValidLocalPart, toAsciiDomain, toUnicodeDomain, toAsciiEmail, isMixedScriptDomain } from './idn.js';
+import {
+  parseAddress,
+  splitAddrSpec,
+  isQuotedLocalPart,
+  isValidQuotedLocalPart,
+  isDomainLiteral,
+  isValidDomainLiteral,
+  splitAddressList
+} from './address-parser.js';
+import { selectPrimaryAddress } from './address-selection.js';
+import { cleanupUnicode } from './unicode-cleanup.js';
+
+// In-flight validations per configuration, shared by every validator built from the same
+// config object - the HubSpot webhook creates a validator per event
+const inFlightValidations = new WeakMap();
+// Services that hold caches or snapshots (reference data, DNS answers, provider rules,
+// domain verdicts) and the revalidation queue, per configuration for the same reason, so
+// they survive from one webhook event to the next
+const sharedServices = new WeakMap();
+
+function getSharedService(config, name, create) {
+  if (!sharedServices.has(config)) {
+    sharedServices.set(config, new Map());
+  }
+  const services = sharedServices.get(config);
+  if (!services.has(name)) {
+    services.set(name, create());
+  }
+  return services.get(name);
+}
+
+// Fields that describe the mailbox rather than the caller's spelling of it; a coalesced
+// caller whose input differs from the leader's gets these on top of its own quick result
+const COALESCED_VERDICT_FIELDS = [
+  'status', 'subStatus', 'recheckNeeded', 'isCatchAll', 'isKnownValid',
+  'servedFromStorage', 'storedResultAgeDays', 'stale', 'revalidationQueued',
+  'um_bounce_status', 'um_check_id', 'date_last_um_check', 'date_last_um_check_epoch'
+];
 
 export class EmailValidationService {
   constructor(config) {
@@ -16,9 +70,11 @@ export class EmailValidationService {
       useZeroBounce: config.useZeroBounce
     });
     
-    // Initialize Supabase by checking all required fields
+    // Initialize Supabase by checking all required fields. A client passed in as
+    // config.supabaseClient is used as is, as the services below do.
     this.supabase = null;
-    this.supabaseEnabled = !!(config.supabase && 
+    this.supabaseEnabled = !!config.supabaseClient ||
+                           !!(config.supabase && 
                              config.supabase.url && 
                              config.supabase.url.includes('supabase.co') &&
                              config.supabase.key && 
@@ -42,44 +98,18 @@ export class EmailValidationService {
       this.supabaseConnectionStatus = 'disabled';
     }
     // Initialize Supabase client if enabled
+    // The process-wide client is shared with every service below, and with the other
+    // validators the HubSpot webhook creates per event
     if (this.supabaseEnabled) {
-      try {
-        console.log('EMAIL_VALIDATOR_INIT: Creating Supabase client with provided configuration');
-        
-        this.supabase = createClient(
-          config.supabase.url,
-          config.supabase.key,
-          {
-            auth: { 
-              persistSession: false,
-              autoRefreshToken: false
-            },
-            // Add custom fetch with longer timeout
-            global: {
-              headers: {
-                'Content-Type': 'application/json'
-              },
-              fetch: (...args) => {
-                return fetch(...args, {
-                  // Increase timeout significantly
-                  signal: AbortSignal.timeout(15000) // 15 seconds timeout
-                });
-              }
-            }
-          }
-        );
-        
-        console.log('EMAIL_VALIDATOR_INIT: Supabase client created successfully');
-        
-        // Don't test connection immediately - defer until needed
-        this.supabaseConnectionStatus = 'pending';
-      } catch (error) {
-        console.error('EMAIL_VALIDATOR_INIT_ERROR:', { 
-          message: error.message,
-          stack: error.stack 
-        });
-        this.supabaseConnectionStatus = 'error';
-      }
+      console.log('EMAIL_VALIDATOR_INIT: Using shared Supabase client for the provided configuration');
+      
+      this.supabase = getSupabaseClient({
+        supabase: config.supabase,
+        supabaseClient: config.supabaseClient
+      }, 'EMAIL_VALIDATOR');
+      
+      // Don't test connection immediately - defer until needed
+      this.supabaseConnectionStatus = this.supabase ? 'pending' : 'error';
     }
     
     // Timeouts configuration with defaults - UPDATED with longer ZeroBounce timeout
@@ -88,18 +118,184 @@ export class EmailValidationService {
       zeroBounce: config.timeouts?.zeroBounce || 6000, // Increased from 4000 to 6000ms
       zeroBounceRetry: config.timeouts?.zeroBounceRetry || 8000, // New timeout for retry
       validation: config.timeouts?.validation || 7000, // Increased to accommodate retry
-      webhook: config.timeouts?.webhook || 6000
+      webhook: config.timeouts?.webhook || 6000,
+      hubspot: config.timeouts?.hubspot || 8000
     };
+    this.timeouts.provider = config.timeouts?.provider || this.timeouts.zeroBounce;
+    this.timeouts.providerRetry = config.timeouts?.providerRetry || this.timeouts.zeroBounceRetry;
 
     // Initialize domain correction features
     this.config.removeGmailAliases = config.removeGmailAliases !== false; // Default to true
     
+    // Provider-specific local-part normalization. Without explicit settings only Gmail
+    // plus-tags are stripped from currentEmail, as removeGmailAliases always did.
+    this.localPartNormalizer = getSharedService(config, 'localPartNormalizer', () => new LocalPartNormalizationService({
+      supabase: config.supabase,
+      supabaseClient: this.supabase,
+      useSupabase: config.useSupabase,
+      ...(config.normalization || {})
+    }));
+    const legacyTransforms = this.config.removeGmailAliases ? ['strip_tags'] : [];
+    this.normalizationDefaults = {
+      transforms: config.normalization?.transforms || legacyTransforms,
+      providers: config.normalization?.transforms
+        ? (config.normalization.providers || null)
+        : ['gmail']
+    };
+    
     // Client ID for um_check_id generation
     this.clientId = config.clientId || '00001';
     this.umessyVersion = config.umessyVersion || '100';
     
     // Configure ZeroBounce retry settings
     this.zeroBounceMaxRetries = config.zeroBounceMaxRetries || 1; // Default to 1 retry
+    
+    // Verification provider settings - ZeroBounce falls back to the legacy top-level options
+    const providerDefaults = {
+      timeoutMs: this.timeouts.provider,
+      retryTimeoutMs: this.timeouts.providerRetry,
+      maxRetries: this.zeroBounceMaxRetries
+    };
+    this.providerOptions = {
+      zerobounce: {
+        ...providerDefaults,
+        apiKey: config.zeroBounceApiKey,
+        enabled: config.useZeroBounce !== false,
+        timeoutMs: this.timeouts.zeroBounce,
+        retryTimeoutMs: this.timeouts.zeroBounceRetry,
+        ...(config.providers?.zerobounce || {})
+      },
+      neverbounce: { ...providerDefaults, ...(config.providers?.neverbounce || {}) },
+      kickbox: { ...providerDefaults, ...(config.providers?.kickbox || {}) }
+    };
+    this.verificationProviders = new Map();
+    
+    // Default primary and fallback providers, overridable per client
+    this.verification = {
+      primary: config.verification?.primary || 'zerobounce',
+      fallback: config.verification?.fallback || null
+    };
+    
+    // Local DNS stage: MX lookup with A/AAAA fallback, enabled unless explicitly disabled
+    this.dnsChecker = getSharedService(config, 'dnsChecker', () => new DnsCheckService({
+      enabled: config.useDnsCheck !== false,
+      timeoutMs: config.timeouts?.dns || 2000,
+      ...(config.dns || {})
+    }));
+    
+    // In-memory snapshot of invalid_domains, common_valid_domains, domain_typos and valid_tlds
+    this.referenceData = getSharedService(config, 'referenceData', () => new ReferenceDataCache({
+      supabase: config.supabase,
+      supabaseClient: this.supabase,
+      useSupabase: config.useSupabase,
+      ...(config.referenceData || {})
+    }));
+    
+    // Disposable/temporary mailbox domains: bundled list plus Supabase overrides
+    this.disposableDomains = getSharedService(config, 'disposableDomains', () => new DisposableDomainService({
+      enabled: config.useDisposableCheck !== false,
+      supabase: config.supabase,
+      supabaseClient: this.supabase,
+      useSupabase: config.useSupabase,
+      ...(config.disposable || {})
+    }));
+    this.disposablePolicy = config.disposable?.policy || 'invalid';
+    
+    // Edit-distance fallback for domain typos that domain_typos doesn't know about
+    this.domainSuggester = new DomainSuggestionService({
+      enabled: config.useDomainSuggestions !== false,
+      supabase: config.supabase,
+      supabaseClient: this.supabase,
+      useSupabase: config.useSupabase,
+      referenceData: this.referenceData,
+      ...(config.domainSuggestions || {})
+    });
+    this.typoAutoCorrectThreshold = config.domainSuggestions?.autoCorrectThreshold ?? 0.8;
+    
+    // Structural repair of malformed input (missing '@', '@@', ',' for '.'); repairs are
+    // only suggested unless the client opts into applying them
+    this.formatRepairer = new FormatRepairService({
+      enabled: config.useFormatRepair !== false,
+      supabase: config.supabase,
+      supabaseClient: this.supabase,
+      useSupabase: config.useSupabase,
+      referenceData: this.referenceData,
+      ...(config.formatRepair || {})
+    });
+    this.autoApplyRepairs = config.formatRepair?.autoApply === true;
+    this.repairAutoApplyThreshold = config.formatRepair?.autoApplyThreshold ?? 0.85;
+    
+    // Home region for region-pack TLD corrections (au, nz, uk); checkAustralianTlds
+    // selects the AU pack when no region is configured
+    this.region = config.region || (config.checkAustralianTlds ? 'au' : null);
+    
+    // Fields holding several addresses: how to pick the primary and how many to check
+    this.multiAddress = {
+      policy: config.multiAddress?.policy || 'first_valid',
+      maxAddresses: config.multiAddress?.maxAddresses || 5
+    };
+    
+    // How long a stored result in email_validations is reused, per status (the freshness
+    // policy; clients can override it). Negative results are kept too, so a bad address
+    // resubmitted within its window costs no provider credit.
+    this.storedResultTtlDays = {
+      valid: 7,
+      invalid: 30,
+      unknown: 3,
+      check_failed: 1,
+      ...(config.storedResults?.ttlDays || {})
+    };
+    
+    // Stale-while-revalidate: a stored verdict past its window (but under maxStaleDays) is
+    // returned marked stale, and a revalidation job is queued for the queue consumer
+    this.staleWhileRevalidate = config.storedResults?.staleWhileRevalidate === true;
+    this.maxStaleDays = config.storedResults?.maxStaleDays || 90;
+    this.revalidationQueue = getSharedService(config, 'revalidationQueue', () =>
+      new WebhookQueueService({ ...config, supabaseClient: this.supabase })
+    );
+    // Addresses queued recently by this instance, so repeated hits don't stack up jobs
+    this.recentRevalidations = new Map();
+    this.revalidationDedupeMs = 10 * 60 * 1000;
+
+    // Caps on concurrent Supabase and verification provider calls, shared by every validation
+    // on this instance, and the worker count validateBatch runs with
+    this.limits = {
+      supabase: new ConcurrencyLimiter(config.concurrency?.supabase || 4, 'supabase'),
+      provider: new ConcurrencyLimiter(config.concurrency?.provider || 3, 'provider')
+    };
+    this.batchWorkers = config.concurrency?.batchWorkers || 6;
+    // Per-domain lookups (invalid/common domain tables, DNS) are shared by every
+    // validation within this window, so a batch resolves each domain once
+    this.domainLookups = new Map();
+    this.domainLookupTtlMs = config.concurrency?.domainLookupTtlMs || 30 * 1000;
+    
+    // Role/function mailboxes (info@, sales@, noreply@); downgrading them is opt-in per client
+    this.roleAccounts = new RoleAccountService({
+      enabled: config.useRoleAccountCheck !== false,
+      ...(config.roleAccounts || {})
+    });
+    this.downgradeRoleAccounts = config.roleAccounts?.downgrade === true;
+    
+    // Per-domain verdicts such as catch-all, used to skip paid checks that can't say more
+    this.domainIntelligence = getSharedService(config, 'domainIntelligence', () => new DomainIntelligenceService({
+      enabled: config.useDomainIntelligence !== false,
+      supabase: config.supabase,
+      supabaseClient: this.supabase,
+      useSupabase: config.useSupabase,
+      ...(config.domainIntelligence || {})
+    }));
+    
+    // Optional SMTP RCPT TO probe for mailbox-level checks without a paid provider
+    this.smtpProber = new SmtpProbeService({
+      enabled: config.useSmtpProbe === true,
+      ...(config.smtpProbe || {})
+    });
+    
+    // HubSpot CRM client used to write validation results back to contacts
+    this.hubspotClient = new HubSpotClient({
+      ...(config.hubspot || {}),
+      timeoutMs: this.timeouts.hubspot
+    });
   }
   // Asynchronous test without blocking operations
   async _testSupabaseConnectionAsync() {
@@ -151,19 +347,25 @@ export class EmailValidationService {
   // Generic timeout wrapper with AbortController
   async withTimeout(promiseFn, timeoutMs, errorMessage = 'Operation timeout') {
     const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+    let timeoutId;
+    // Work that ignores the signal still loses the race, so callers always get control back
+    const timeout = new Promise((_, reject) => {
+      timeoutId = setTimeout(() => {
+        controller.abort();
+        reject(new Error(errorMessage));
+      }, timeoutMs);
+    });
     
     try {
       // Execute the function with the abort signal
-      const result = await promiseFn(controller.signal);
-      clearTimeout(timeoutId);
-      return result;
+      return await Promise.race([promiseFn(controller.signal), timeout]);
     } catch (error) {
-      clearTimeout(timeoutId);
       if (error.name === 'AbortError') {
         throw new Error(errorMessage);
       }
       throw error;
+    } finally {
+      clearTimeout(timeoutId);
     }
   }
   // UPDATED: Format date as ISO string instead of spelled out date
@@ -198,6 +400,12 @@ export class EmailValidationService {
       return false;
     }
     
+    // Served from the in-memory snapshot once the table has loaded
+    await this.referenceData.ensureFresh();
+    if (this.referenceData.hasTable('invalidDomains')) {
+      return this.referenceData.isInvalidDomain(domain);
+    }
+    
     // Ensure connection is established
     if (this.supabaseConnectionStatus === 'pending' || this.supabaseConnectionStatus === 'initializing') {
       try {
@@ -260,6 +468,12 @@ export class EmailValidationService {
       return false;
     }
     
+    // Served from the in-memory snapshot once the table has loaded
+    await this.referenceData.ensureFresh();
+    if (this.referenceData.hasTable('commonValidDomains')) {
+      return this.referenceData.isCommonValidDomain(domain);
+    }
+    
     // Ensure connection is established
     if (this.supabaseConnectionStatus === 'pending' || this.supabaseConnectionStatus === 'initializing') {
       try {
@@ -321,6 +535,12 @@ export class EmailValidationService {
       return null;
     }
     
+    // Served from the in-memory snapshot once the table has loaded
+    await this.referenceData.ensureFresh();
+    if (this.referenceData.hasTable('domainTypos')) {
+      return this.referenceData.getTypoCorrection(domain);
+    }
+    
     // Ensure connection is established
     if (this.supabaseConnectionStatus === 'pending' || this.supabaseConnectionStatus === 'initializing') {
       try {
@@ -382,6 +602,12 @@ export class EmailValidationService {
       console.log('DB_CHECK_TLD_CORRECTION: Supabase not enabled or no domain provided');
       return null;
     }
+    
+    // Served from the in-memory snapshot once the table has loaded
+    await this.referenceData.ensureFresh();
+    if (this.referenceData.hasTable('validTlds')) {
+      return this.referenceData.getTldCorrection(domain);
+    }
     // Ensure connection is established
     if (this.supabaseConnectionStatus === 'pending' || this.supabaseConnectionStatus === 'initializing') {
       try {
@@ -454,8 +680,8 @@ export class EmailValidationService {
     }
   }
   
-  // Non-blocking Supabase check - doesn't throw, returns false on failure
-  async isKnownValidEmail(email) {
+  // Previous outcome for this address from email_validations, whatever its status
+  async getStoredValidation(email) {
     if (!this.supabaseEnabled || !this.supabase) {
       console.log('SUPABASE_CHECK: Supabase not enabled, skipping check');
       return { found: false };
@@ -469,7 +695,7 @@ export class EmailValidationService {
           
           const { data, error } = await this.supabase
             .from('email_validations')
-            .select('email, um_email_status, um_bounce_status, date_last_um_check, date_last_um_check_epoch, um_check_id')
+            .select('email, um_email_status, um_bounce_status, um_validation_status, um_validation_substatus, date_last_um_check, date_last_um_check_epoch, um_check_id')
             .eq('email', email)
             .abortSignal(signal)
             .single();
@@ -507,16 +733,51 @@ export class EmailValidationService {
     }
   }
   
+  // Status, age and freshness of a stored record under the client's freshness policy. A
+  // per-request maxAgeDays can only shorten the window. Rows saved before statuses were
+  // stored only exist for valid addresses, so their status is read from um_bounce_status.
+  getStoredResultFreshness(record, clientId = null, maxAgeDays = null) {
+    const status = record.um_validation_status ||
+      (record.um_bounce_status === 'Unlikely to bounce' ? 'valid' : 'invalid');
+    
+    // date_last_um_check_epoch was stored in seconds by older versions
+    const lastCheckMs = typeof record.date_last_um_check_epoch === 'number' &&
+                       record.date_last_um_check_epoch > 1000000000000
+      ? record.date_last_um_check_epoch
+      : (record.date_last_um_check_epoch || 0) * 1000;
+    
+    const ageMs = Date.now() - lastCheckMs;
+    const policyDays = this.getClientSettings(clientId).storedResultTtlDays[status] || 0;
+    const maxAge = Number(maxAgeDays);
+    const windowDays = maxAgeDays !== null && maxAgeDays !== undefined && maxAge >= 0
+      ? Math.min(policyDays, maxAge)
+      : policyDays;
+    
+    return {
+      status,
+      subStatus: record.um_validation_substatus || null,
+      ageDays: Math.floor(ageMs / (24 * 60 * 60 * 1000)),
+      windowDays,
+      fresh: lastCheckMs > 0 && ageMs >= 0 && ageMs < windowDays * 24 * 60 * 60 * 1000
+    };
+  }
+  
+  // A status is stored when the service-wide window or the client's own window reuses it.
+  // The row is shared, so each reader applies its own window when it reads it back.
+  isStoredStatus(status, clientId = null) {
+    return !!(this.storedResultTtlDays[status] || this.getClientSettings(clientId).storedResultTtlDays[status]);
+  }
+  
   // Save validation result to Supabase with improved reliability
   async saveValidationResult(email, validationResult, clientId = null) {
-    // Only proceed if the email is valid
-    if (validationResult.status !== 'valid') {
-      console.log('SUPABASE_SAVE: Skipping save for invalid email', {
+    // Every outcome with a reuse window is stored; check_skipped and the like are not
+    if (!this.isStoredStatus(validationResult.status, clientId)) {
+      console.log('SUPABASE_SAVE: Skipping save for status without a stored-result TTL', {
         email: email,
         status: validationResult.status,
         clientId: clientId || 'default'
       });
-      return { success: false, reason: 'Email is not valid', status: validationResult.status };
+      return { success: false, reason: 'Status is not stored', status: validationResult.status };
     }
     
     if (!this.supabaseEnabled || !this.supabase) {
@@ -558,8 +819,9 @@ export class EmailValidationService {
     }
 
     try {
-      console.log('SUPABASE_SAVE: Starting save operation for valid email', { 
+      console.log('SUPABASE_SAVE: Starting save operation', { 
         email: email,
+        status: validationResult.status,
         clientId: clientId || 'default'
       });
       
@@ -623,7 +885,9 @@ export class EmailValidationService {
           um_check_id: umCheckId,
           um_email: validationResult.currentEmail || validationResult.um_email || email,
           um_email_status: umEmailStatus,
-          um_bounce_status: umBounceStatus
+          um_bounce_status: umBounceStatus,
+          um_validation_status: validationResult.status,
+          um_validation_substatus: validationResult.subStatus || null
         };
         
         // Update the existing record
@@ -691,7 +955,9 @@ export class EmailValidationService {
         um_email: validationResult.currentEmail || validationResult.um_email || email,
         email: email,
         um_email_status: umEmailStatus,
-        um_bounce_status: umBounceStatus
+        um_bounce_status: umBounceStatus,
+        um_validation_status: validationResult.status,
+        um_validation_substatus: validationResult.subStatus || null
       };
       
       try {
@@ -740,48 +1006,114 @@ export class EmailValidationService {
     }
   }
   
-  // Basic format validation - fast and synchronous  
+  // Basic format validation of a bare addr-spec - fast and synchronous. Accepts UTF-8 local
+  // parts (RFC 6531), quoted local parts, IDN domains and IP domain literals.
   isValidEmailFormat(email) {
-    const emailRegex = /^[a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/;
-    return emailRegex.test(email);
+    if (typeof email !== 'string') return false;
+    const { localPart, domain } = splitAddrSpec(email);
+    if (!localPart || !domain) return false;
+    
+    const localValid = isQuotedLocalPart(localPart)
+      ? isValidQuotedLocalPart(localPart)
+      : isValidLocalPart(localPart);
+    const domainValid = isDomainLiteral(domain)
+      ? isValidDomainLiteral(domain)
+      : !!toAsciiDomain(domain);
+    
+    return localValid && domainValid;
+  }
+  
+  // Remove invisible characters and fold full-width and look-alike characters
+  cleanupUnicode(input) {
+    return cleanupUnicode(input);
+  }
+  
+  // Extract the addr-spec, display name and comments from RFC 5322 / mailto: input
+  parseAddress(input) {
+    return parseAddress(input);
   }
   
   // Updated email typo correction with database checks
-  async correctEmailTypos(email) {
+  async correctEmailTypos(email, clientId = null) {
     if (!email) {
-      return { corrected: false, email };
+      return { corrected: false, email, domainSuggestion: null };
     }
     
     let corrected = false;
     let cleanedEmail = email.trim().toLowerCase();
     
-    // Remove spaces
-    const noSpaceEmail = cleanedEmail.replace(/\s/g, '');
+    // Remove spaces - except inside a quoted local part, where they belong to the address
+    const parts = splitAddrSpec(cleanedEmail);
+    const noSpaceEmail = isQuotedLocalPart(parts.localPart) && parts.domain !== null
+      ? `${parts.localPart}@${parts.domain.replace(/\s/g, '')}`
+      : cleanedEmail.replace(/\s/g, '');
     if (noSpaceEmail !== cleanedEmail) {
       cleanedEmail = noSpaceEmail;
       corrected = true;
     }
     
     // Check for domain typos from database
-    const [localPart, domain] = cleanedEmail.split('@');
+    const { localPart, domain } = splitAddrSpec(cleanedEmail);
+    let domainSuggestion = null;
+    let regionCorrection = null;
     
-    if (domain) {
+    // IP domain literals have nothing to correct
+    if (domain && !isDomainLiteral(domain)) {
+      const regionPack = getRegionPack(this.getClientSettings(clientId).region);
+      
       // Check for domain typo correction
       const correctedDomain = await this.checkDomainTypo(domain);
       if (correctedDomain) {
         cleanedEmail = `${localPart}@${correctedDomain}`;
         corrected = true;
-      }
-      
-      // Handle Gmail aliases
-      if (this.config.removeGmailAliases && domain === 'gmail.com' && localPart.includes('+')) {
-        const baseLocal = localPart.split('+')[0];
-        cleanedEmail = `${baseLocal}@gmail.com`;
-        corrected = true;
+      } else {
+        // Home-region suffix rules ("comau", "com.ua" -> "com.au" for AU clients), unless the
+        // domain is one we already know to be valid
+        let workingDomain = domain;
+        if (regionPack) {
+          const knownValid = await this.matchesDomainOrRegistrable(domain, key => this.sharedDomainLookup('common_valid', key, () => this.checkCommonValidDomain(key)));
+          const match = knownValid
+            ? null
+            : applyRegionPack(domain, regionPack, (source, target) => this.domainSuggester.distance(source, target));
+          regionCorrection = {
+            region: regionPack.region,
+            applied: !!match,
+            rule: match?.rule || null,
+            type: match?.type || null,
+            original: domain,
+            corrected: match?.domain || null
+          };
+          
+          if (match) {
+            workingDomain = match.domain;
+            cleanedEmail = `${localPart}@${workingDomain}`;
+            corrected = true;
+          }
+        }
+        
+        // No known typo - fall back to the closest popular domain by edit distance
+        const suggestion = await this.domainSuggester.suggest(workingDomain, { regionPack });
+        if (suggestion) {
+          const { typoAutoCorrectThreshold } = this.getClientSettings(clientId);
+          // Typo-squat domains often publish MX records, so whether the domain as typed
+          // resolves is not considered; the confidence threshold alone decides
+          const applied = suggestion.confidence >= typoAutoCorrectThreshold;
+          domainSuggestion = {
+            ...suggestion,
+            original: workingDomain,
+            threshold: typoAutoCorrectThreshold,
+            applied
+          };
+          
+          if (applied) {
+            cleanedEmail = `${localPart}@${suggestion.candidate}`;
+            corrected = true;
+          }
+        }
       }
       
       // Check for TLD corrections from database
-      const [, domainAfterCorrection] = cleanedEmail.split('@');
+      const domainAfterCorrection = splitAddrSpec(cleanedEmail).domain;
       const tldCorrectedDomain = await this.checkTldCorrection(domainAfterCorrection);
       if (tldCorrectedDomain) {
         cleanedEmail = `${localPart}@${tldCorrectedDomain}`;
@@ -789,7 +1121,64 @@ export class EmailValidationService {
       }
     }
     
-    return { corrected, email: cleanedEmail };
+    // Provider subaddressing rules: canonicalEmail applies all of them, currentEmail
+    // only the transforms the client opted into
+    const settings = this.getClientSettings(clientId);
+    const normalization = await this.localPartNormalizer.normalize(cleanedEmail, {
+      clientId,
+      transforms: settings.localPartNormalizations,
+      providers: settings.normalizeProviders
+    });
+    if (normalization.normalizedEmail !== cleanedEmail) {
+      cleanedEmail = normalization.normalizedEmail;
+      corrected = true;
+    }
+    
+    return {
+      corrected,
+      email: cleanedEmail,
+      canonicalEmail: normalization.canonicalEmail,
+      domainSuggestion,
+      regionCorrection,
+      normalization
+    };
+  }
+  
+  // Share one lookup per kind and domain across the validations running within
+  // domainLookupTtlMs; concurrent callers get the same promise
+  sharedDomainLookup(kind, domain, lookup) {
+    const key = `${kind}:${domain}`;
+    const entry = this.domainLookups.get(key);
+    if (entry && entry.expiresAt > Date.now()) {
+      return entry.promise;
+    }
+    
+    if (this.domainLookups.size >= 1000) {
+      for (const [staleKey, staleEntry] of this.domainLookups) {
+        if (staleEntry.expiresAt <= Date.now()) this.domainLookups.delete(staleKey);
+      }
+    }
+    
+    const promise = Promise.resolve().then(lookup);
+    // A failed lookup is not shared, so the next caller tries again
+    promise.catch(() => this.domainLookups.delete(key));
+    this.domainLookups.set(key, { promise, expiresAt: Date.now() + this.domainLookupTtlMs });
+    return promise;
+  }
+  
+  // Domains to look up in the domain lists: the domain itself, then its registrable
+  // domain, so an entry for company.com.au also covers mail.company.com.au
+  getDomainLookupKeys(domain) {
+    if (!domain || isDomainLiteral(domain)) return [domain];
+    const { registrableDomain } = getDomainParts(domain);
+    return registrableDomain && registrableDomain !== domain ? [domain, registrableDomain] : [domain];
+  }
+  
+  async matchesDomainOrRegistrable(domain, lookup) {
+    for (const key of this.getDomainLookupKeys(domain)) {
+      if (await lookup(key)) return true;
+    }
+    return false;
   }
   
   // Updated domain validity check with database lookup
@@ -799,14 +1188,14 @@ export class EmailValidationService {
       if (!domain) return false;
       
       // First check if it's in the invalid domains list
-      const isInvalid = await this.checkInvalidDomain(domain);
+      const isInvalid = await this.matchesDomainOrRegistrable(domain, key => this.sharedDomainLookup('invalid', key, () => this.checkInvalidDomain(key)));
       if (isInvalid) {
         console.log('DOMAIN_VALIDITY_CHECK: Domain is in invalid domains list', { domain });
         return false;
       }
       
       // Then check if it's in the common valid domains list
-      const isCommonValid = await this.checkCommonValidDomain(domain);
+      const isCommonValid = await this.matchesDomainOrRegistrable(domain, key => this.sharedDomainLookup('common_valid', key, () => this.checkCommonValidDomain(key)));
       console.log('DOMAIN_VALIDITY_CHECK: Domain validity check completed', { 
         domain, 
         isValid: isCommonValid 
@@ -822,11 +1211,123 @@ export class EmailValidationService {
     }
   }
   
+  // Quick validation of raw input. Invisible and look-alike characters are cleaned up and
+  // display names, comments and mailto: wrappers removed first; the display name is
+  // returned for name validation. applyPolicies: false leaves the client's role-account
+  // and disposable policies off, for the full pipeline that stores the verdict.
+  async quickValidate(email, clientId = null, options = {}) {
+    const cleanup = this.cleanupUnicode(email);
+    const parsed = this.parseAddress(cleanup.text);
+    if (!cleanup.changed && !parsed.extracted) {
+      return this.quickValidateAddress(email, clientId, options);
+    }
+    
+    if (cleanup.changed) {
+      console.log('QUICK_VALIDATE: Cleaned up Unicode characters in input', {
+        input: email,
+        cleaned: cleanup.text,
+        changes: cleanup.changes.map(change => `${change.type}:${change.codePoint}`)
+      });
+    }
+    
+    if (parsed.extracted) {
+      console.log('QUICK_VALIDATE: Extracted address from input', {
+        input: email,
+        addrSpec: parsed.addrSpec,
+        source: parsed.source,
+        hasDisplayName: !!parsed.displayName,
+        comments: parsed.comments.length
+      });
+    }
+    
+    const result = await this.quickValidateAddress(parsed.addrSpec, clientId, options);
+    
+    result.originalEmail = email;
+    result.email = email;
+    
+    if (parsed.extracted) {
+      result.displayName = parsed.displayName;
+      result.addressComments = parsed.comments;
+      result.validationSteps.unshift({
+        step: 'address_parse',
+        source: parsed.source,
+        addrSpec: parsed.addrSpec,
+        displayName: parsed.displayName,
+        comments: parsed.comments
+      });
+    }
+    
+    if (cleanup.changed) {
+      result.validationSteps.unshift({
+        step: 'unicode_cleanup',
+        cleaned: cleanup.text,
+        changes: cleanup.changes
+      });
+    }
+    
+    if (result.formatValid) {
+      result.wasCorrected = true;
+      result.um_email_status = 'Changed';
+    }
+    
+    return result;
+  }
+  
+  // Suggest a structural repair for input that fails format validation
+  async repairEmailFormat(email, clientId = null) {
+    const repair = await this.formatRepairer.repair(email, {
+      knownDomains: await this.domainSuggester.getKnownDomains(),
+      isValidFormat: candidate => this.isValidEmailFormat(candidate)
+    });
+    if (!repair) {
+      return null;
+    }
+    
+    const { autoApplyRepairs } = this.getClientSettings(clientId);
+    const applied = autoApplyRepairs && repair.confidence >= this.repairAutoApplyThreshold;
+    return { ...repair, original: email, threshold: this.repairAutoApplyThreshold, applied };
+  }
+  
   // UPDATED: Quick validation with database checks for domain validity and new date formats
-  async quickValidate(email, clientId = null) {
+  async quickValidateAddress(email, clientId = null, options = {}) {
+    const { applyPolicies = true } = options;
     // Step 1: Format check (synchronous)
     const formatValid = this.isValidEmailFormat(email);
     if (!formatValid) {
+      // Step 1a: Try to rebuild the address before giving up on it
+      const formatRepair = await this.repairEmailFormat(email, clientId);
+      const repairStep = formatRepair ? {
+        step: 'format_repair',
+        suggestion: formatRepair.suggestion,
+        repairs: formatRepair.repairs,
+        confidence: formatRepair.confidence,
+        applied: formatRepair.applied
+      } : null;
+      
+      if (formatRepair?.applied) {
+        console.log('QUICK_VALIDATE: Applying format repair', {
+          email,
+          suggestion: formatRepair.suggestion,
+          repairs: formatRepair.repairs,
+          confidence: formatRepair.confidence
+        });
+        
+        const repaired = await this.quickValidateAddress(formatRepair.suggestion, clientId, options);
+        return {
+          ...repaired,
+          originalEmail: email,
+          email: email,
+          wasCorrected: true,
+          um_email_status: 'Changed',
+          formatRepair,
+          validationSteps: [
+            { step: 'format_check', passed: false },
+            repairStep,
+            ...repaired.validationSteps
+          ]
+        };
+      }
+      
       // UPDATED: Use new date format and millisecond epoch
       const now = new Date();
       const formattedDate = this.formatDateString(now);
@@ -840,7 +1341,11 @@ export class EmailValidationService {
         status: 'invalid',
         subStatus: 'bad_format',
         recheckNeeded: false,
-        validationSteps: [{ step: 'format_check', passed: false }],
+        formatRepair,
+        validationSteps: [
+          { step: 'format_check', passed: false },
+          ...(repairStep ? [repairStep] : [])
+        ],
         // Add unmessy specific fields with updated formats
         date_last_um_check: formattedDate,
         date_last_um_check_epoch: epochTimeMs,
@@ -852,14 +1357,119 @@ export class EmailValidationService {
       };
     }
     
+    // Step 1b: Reject domains whose labels mix scripts - probable homograph attacks
+    const inputDomain = splitAddrSpec(email).domain;
+    if (isMixedScriptDomain(inputDomain)) {
+      console.log('QUICK_VALIDATE: Domain mixes scripts, rejecting as a probable homograph', {
+        domain: inputDomain,
+        domainAscii: toAsciiDomain(inputDomain)
+      });
+      
+      const now = new Date();
+      
+      return {
+        originalEmail: email,
+        currentEmail: email,
+        formatValid: true,
+        wasCorrected: false,
+        domainValid: false,
+        domainUnicode: toUnicodeDomain(inputDomain),
+        domainAscii: toAsciiDomain(inputDomain),
+        status: 'invalid',
+        subStatus: 'mixed_script_domain',
+        recheckNeeded: false,
+        validationSteps: [
+          { step: 'format_check', passed: true },
+          { step: 'idn_check', passed: false, reason: 'mixed_script_domain' }
+        ],
+        date_last_um_check: this.formatDateString(now),
+        date_last_um_check_epoch: now.getTime(),
+        um_check_id: this.generateUmCheckId(clientId),
+        um_email: email,
+        email: email,
+        um_email_status: 'Unable to change',
+        um_bounce_status: 'Likely to bounce'
+      };
+    }
+    
     // Step 2: Correct typos (now async with database checks)
-    const { corrected, email: correctedEmail } = await this.correctEmailTypos(email);
+    const {
+      corrected,
+      email: correctedEmail,
+      canonicalEmail,
+      domainSuggestion,
+      regionCorrection,
+      normalization
+    } = await this.correctEmailTypos(email, clientId);
+    const typoSteps = [
+      { step: 'typo_correction', applied: corrected, original: email, corrected: correctedEmail },
+      ...(regionCorrection ? [{
+        step: 'region_pack',
+        region: regionCorrection.region,
+        applied: regionCorrection.applied,
+        rule: regionCorrection.rule,
+        type: regionCorrection.type
+      }] : []),
+      ...(domainSuggestion ? [{
+        step: 'domain_suggestion',
+        candidate: domainSuggestion.candidate,
+        distance: domainSuggestion.distance,
+        confidence: domainSuggestion.confidence,
+        applied: domainSuggestion.applied
+      }] : []),
+      ...(normalization.provider ? [{
+        step: 'local_part_normalization',
+        provider: normalization.provider,
+        applied: normalization.applied,
+        canonicalEmail
+      }] : [])
+    ];
     
-    // Extract domain for further checks
-    const domain = correctedEmail.split('@')[1];
+    // Extract domain for further checks - lookups always use the punycode form
+    const rawDomain = splitAddrSpec(correctedEmail).domain;
+    const domain = toAsciiDomain(rawDomain) || rawDomain;
+    const domainParts = isDomainLiteral(domain) ? null : getDomainParts(domain);
+    const domainForms = {
+      domainUnicode: toUnicodeDomain(domain),
+      domainAscii: domain,
+      publicSuffix: domainParts?.publicSuffix ?? null,
+      registrableDomain: domainParts?.registrableDomain ?? null,
+      subdomain: domainParts?.subdomain ?? null
+    };
+    
+    // Step 2b: A bare public suffix ("@com.au") has no registrable domain to deliver to
+    if (domainParts?.isPublicSuffix) {
+      console.log('QUICK_VALIDATE: Domain is a bare public suffix', { domain });
+      
+      const now = new Date();
+      
+      return {
+        originalEmail: email,
+        currentEmail: correctedEmail,
+        formatValid: true,
+        wasCorrected: corrected,
+        domainValid: false,
+        ...domainForms,
+        status: 'invalid',
+        subStatus: 'public_suffix_domain',
+        recheckNeeded: false,
+        validationSteps: [
+          { step: 'format_check', passed: true },
+          ...typoSteps,
+          { step: 'public_suffix_check', passed: false, publicSuffix: domainParts.publicSuffix }
+        ],
+        date_last_um_check: this.formatDateString(now),
+        date_last_um_check_epoch: now.getTime(),
+        um_check_id: this.generateUmCheckId(clientId),
+        um_email: correctedEmail,
+        email: email,
+        um_email_status: corrected ? 'Changed' : 'Unchanged',
+        um_bounce_status: 'Likely to bounce'
+      };
+    }
     
-    // Step 3: Check if domain is in invalid domains list (async)
-    const isInvalidDomain = await this.checkInvalidDomain(domain);
+    // Step 3: Check if the domain or its registrable domain is in the invalid domains list (async)
+    const isInvalidDomain = await this.matchesDomainOrRegistrable(domain, key => this.sharedDomainLookup('invalid', key, () => this.checkInvalidDomain(key)));
     
     // If domain is in invalid domains list, mark as invalid and skip further checks
     if (isInvalidDomain) {
@@ -877,13 +1487,14 @@ export class EmailValidationService {
         formatValid: true,
         wasCorrected: corrected,
         domainValid: false,
+        ...domainForms,
         isInvalidDomain: true,
         status: 'invalid',
         subStatus: 'invalid_domain',
         recheckNeeded: false,
         validationSteps: [
           { step: 'format_check', passed: true },
-          { step: 'typo_correction', applied: corrected, original: email, corrected: correctedEmail },
+          ...typoSteps,
           { step: 'invalid_domain_check', passed: false, domain: domain }
         ],
         // Updated unmessy specific fields
@@ -897,8 +1508,103 @@ export class EmailValidationService {
       };
     }
     
+    // Step 3b: Check for disposable/temporary mailbox domains
+    const disposable = await this.disposableDomains.classify(domain);
+    const disposableStep = {
+      step: 'disposable_check',
+      passed: !disposable.isDisposable,
+      source: disposable.source,
+      matched: disposable.matched
+    };
+    const { disposablePolicy } = this.getClientSettings(clientId);
+    
+    if (disposable.isDisposable && disposablePolicy === 'invalid') {
+      console.log('QUICK_VALIDATE: Domain is a disposable mailbox provider', {
+        domain,
+        matched: disposable.matched,
+        source: disposable.source
+      });
+      
+      const umCheckId = this.generateUmCheckId(clientId);
+      const now = new Date();
+      const formattedDate = this.formatDateString(now);
+      const epochTimeMs = now.getTime();
+      
+      return {
+        originalEmail: email,
+        currentEmail: correctedEmail,
+        formatValid: true,
+        wasCorrected: corrected,
+        domainValid: false,
+        ...domainForms,
+        isDisposable: true,
+        status: 'invalid',
+        subStatus: 'disposable',
+        recheckNeeded: false,
+        validationSteps: [
+          { step: 'format_check', passed: true },
+          ...typoSteps,
+          { step: 'invalid_domain_check', passed: true, domain: domain },
+          { ...disposableStep, policy: disposablePolicy }
+        ],
+        date_last_um_check: formattedDate,
+        date_last_um_check_epoch: epochTimeMs,
+        um_check_id: umCheckId,
+        um_email: correctedEmail,
+        email: email,
+        um_email_status: corrected ? 'Changed' : 'Unchanged',
+        um_bounce_status: 'Likely to bounce'
+      };
+    }
+    
     // Step 4: Check if domain is in common valid domains list (async)
-    const domainValid = await this.isValidDomain(correctedEmail);
+    const domainValid = await this.isValidDomain(toAsciiEmail(correctedEmail));
+    
+    // Step 5: Resolve MX/A records for domains we don't already know are valid
+    // (IP domain literals name the mail host directly, so there is nothing to resolve)
+    let dnsResult = null;
+    if (!domainValid && !isDomainLiteral(domain)) {
+      dnsResult = await this.sharedDomainLookup('dns', domain, () => this.dnsChecker.checkDomain(domain));
+      
+      if (dnsResult.status === 'invalid') {
+        console.log('QUICK_VALIDATE: Domain cannot receive mail according to DNS', {
+          domain,
+          subStatus: dnsResult.subStatus
+        });
+        
+        const umCheckId = this.generateUmCheckId(clientId);
+        const now = new Date();
+        const formattedDate = this.formatDateString(now);
+        const epochTimeMs = now.getTime();
+        
+        return {
+          originalEmail: email,
+          currentEmail: correctedEmail,
+          formatValid: true,
+          wasCorrected: corrected,
+          domainValid: false,
+          ...domainForms,
+          isDeadDomain: true,
+          status: 'invalid',
+          subStatus: dnsResult.subStatus,
+          recheckNeeded: false,
+          validationSteps: [
+            { step: 'format_check', passed: true },
+            ...typoSteps,
+            { step: 'domain_check', passed: false },
+            { step: 'dns_check', passed: false, subStatus: dnsResult.subStatus, cached: dnsResult.cached }
+          ],
+          date_last_um_check: formattedDate,
+          date_last_um_check_epoch: epochTimeMs,
+          um_check_id: umCheckId,
+          um_email: correctedEmail,
+          email: email,
+          um_email_status: corrected ? 'Changed' : 'Unchanged',
+          um_bounce_status: 'Likely to bounce'
+        };
+      }
+    }
+    
     const status = domainValid ? 'valid' : 'unknown';
     
     // UPDATED: Generate um_check_id and timestamps with new formats
@@ -911,18 +1617,38 @@ export class EmailValidationService {
     const umEmailStatus = corrected ? 'Changed' : 'Unchanged';
     const umBounceStatus = domainValid ? 'Unlikely to bounce' : 'Unknown';
     
-    return {
+    // Step 6: Classify role/function mailboxes from the local part
+    const role = this.roleAccounts.classify(splitAddrSpec(correctedEmail).localPart);
+    
+    const result = {
       originalEmail: email,
       currentEmail: correctedEmail,
       formatValid: true,
       wasCorrected: corrected,
       domainValid,
+      ...domainForms,
       status,
       recheckNeeded: !domainValid,
+      dnsValid: dnsResult ? dnsResult.status === 'valid' : undefined,
+      isDisposable: disposable.isDisposable,
+      isCatchAll: false,
+      isRoleAccount: role.isRoleAccount,
+      roleCategory: role.roleCategory,
+      canonicalEmail,
+      domainSuggestion,
       validationSteps: [
         { step: 'format_check', passed: true },
-        { step: 'typo_correction', applied: corrected, original: email, corrected: correctedEmail },
-        { step: 'domain_check', passed: domainValid }
+        ...typoSteps,
+        ...(disposable.isDisposable ? [{ ...disposableStep, policy: disposablePolicy }] : []),
+        { step: 'domain_check', passed: domainValid },
+        ...(dnsResult && !dnsResult.skipped ? [{
+          step: 'dns_check',
+          passed: dnsResult.status === 'valid' ? true : null,
+          subStatus: dnsResult.subStatus,
+          implicitMx: dnsResult.implicitMx || false,
+          cached: dnsResult.cached
+        }] : []),
+        ...(role.isRoleAccount ? [{ step: 'role_account_check', roleCategory: role.roleCategory, matched: role.matched }] : [])
       ],
       // Updated unmessy specific fields
       date_last_um_check: formattedDate,
@@ -933,188 +1659,202 @@ export class EmailValidationService {
       um_email_status: umEmailStatus,
       um_bounce_status: umBounceStatus
     };
+    
+    return applyPolicies ? this.applyAddressPolicies(result, clientId) : result;
   }
   
-  // UPDATED: ZeroBounce check with retry logic, longer timeouts, and updated date formats
-  async checkWithZeroBounce(email, clientId = null, retryCount = 0) {
-    if (!this.config.zeroBounceApiKey || this.config.useZeroBounce === false) {
-      console.log('ZEROBOUNCE_CHECK: ZeroBounce not configured or disabled, skipping check');
-      return {
-        email,
-        status: 'check_skipped',
-        recheckNeeded: true,
-        source: 'configuration'
-      };
+  // Apply the client's role-account and disposable policies to a finished result
+  applyAddressPolicies(result, clientId = null) {
+    const settings = this.getClientSettings(clientId);
+    
+    // Downgrade deliverable role accounts when the client treats them as low value
+    if (result.isRoleAccount && settings.downgradeRoleAccounts && result.status === 'valid') {
+      result.status = 'unknown';
+      result.subStatus = 'role_based';
     }
-
-    try {
-      console.log('ZEROBOUNCE_CHECK: Starting validation for email', { 
-        email,
-        clientId: clientId || 'default',
-        retryAttempt: retryCount
-      });
-      
-      // Determine which timeout to use based on retry count
-      const timeoutMs = retryCount > 0 
-        ? this.timeouts.zeroBounceRetry  // Use longer timeout for retry
-        : this.timeouts.zeroBounce;      // Use standard timeout for first attempt
-      
-      const result = await this.withTimeout(
-        async (signal) => {
-          const url = new URL('https://api.zerobounce.net/v2/validate');
-          url.searchParams.append('api_key', this.config.zeroBounceApiKey);
-          url.searchParams.append('email', email);
-          url.searchParams.append('ip_address', '');
-          
-          console.log('ZEROBOUNCE_CHECK: Sending request to ZeroBounce API', { 
-            email,
-            retryAttempt: retryCount,
-            url: url.toString().replace(this.config.zeroBounceApiKey, '[REDACTED]')
-          });
-          
-          const response = await fetch(url.toString(), { signal });
-          
-          if (!response.ok) {
-            throw new Error(`ZeroBounce API error: ${response.status} ${response.statusText}`);
-          }
-          
-          const result = await response.json();
-          
-          console.log('ZEROBOUNCE_CHECK: Received response from ZeroBounce API', { 
-            email,
-            status: result.status,
-            subStatus: result.sub_status,
-            didYouMean: result.did_you_mean || null,
-            retryAttempt: retryCount
-          });
-          
-          // UPDATED: Generate unmessy fields with new date format and millisecond epoch
-          const umCheckId = this.generateUmCheckId(clientId);
-          const now = new Date();
-          const formattedDate = this.formatDateString(now);
-          const epochTimeMs = now.getTime();
-          
-          // Check for "did_you_mean" suggestions
-          let suggestedEmail = null;
-          if (result.did_you_mean) {
-            console.log('ZEROBOUNCE_CHECK: Found email suggestion from ZeroBounce', {
-              original: email,
-              suggested: result.did_you_mean
-            });
-            suggestedEmail = result.did_you_mean;
-          }
-          
-          // Map status and determine unmessy statuses
-          let umEmailStatus = suggestedEmail ? 'Changed' : 'Unchanged';
-          let umBounceStatus = 'Unknown';
-          let status, subStatus, recheckNeeded;
-          
-          switch (result.status) {
-            case 'valid':
-              status = 'valid';
-              recheckNeeded = false;
-              umBounceStatus = 'Unlikely to bounce';
-              break;
-            case 'invalid':
-              status = 'invalid';
-              subStatus = result.sub_status;
-              recheckNeeded = false;
-              umBounceStatus = 'Likely to bounce';
-              break;
-            case 'catch-all':
-            case 'unknown':
-              status = 'unknown';
-              recheckNeeded = true;
-              break;
-            case 'spamtrap':
-              status = 'invalid';
-              subStatus = 'spamtrap';
-              recheckNeeded = false;
-              umBounceStatus = 'Likely to bounce';
-              break;
-            case 'abuse':
-              status = 'invalid';
-              subStatus = 'abuse';
-              recheckNeeded = false;
-              umBounceStatus = 'Likely to bounce';
-              break;
-            default:
-              status = 'check_failed';
-              recheckNeeded = true;
-          }
-          
-          console.log('ZEROBOUNCE_CHECK: Completed successfully', { 
-            email, 
-            status, 
-            subStatus,
-            recheckNeeded,
-            suggestedEmail,
-            clientId: clientId || 'default',
-            retryAttempt: retryCount
-          });
-          
-          return {
-            email,
-            status,
-            subStatus,
-            recheckNeeded,
-            suggestedEmail,
-            source: 'zerobounce',
-            details: result,
-            retryCount,
-            // Add unmessy specific fields with updated formats
-            date_last_um_check: formattedDate,
-            date_last_um_check_epoch: epochTimeMs,
-            um_check_id: umCheckId,
-            um_email: suggestedEmail || email,
-            email: email,
-            um_email_status: umEmailStatus,
-            um_bounce_status: umBounceStatus
-          };
-        },
-        timeoutMs,
-        'ZeroBounce check timeout'
-      );
-      
+    
+    return this.applyDisposableFlag(result);
+  }
+  
+  // Flag-only policy: keep the verdict but mark the address as disposable. These inboxes
+  // expire, so an accepting mailbox today is no promise that mail will be delivered later.
+  applyDisposableFlag(result) {
+    if (!result.isDisposable || result.status === 'invalid') {
       return result;
-    } catch (error) {
-      console.error('ZEROBOUNCE_CHECK_ERROR:', { 
-        message: error.message, 
-        email,
-        clientId: clientId || 'default',
-        retryAttempt: retryCount
-      });
+    }
+    
+    result.subStatus = 'disposable';
+    result.um_bounce_status = 'Unknown';
+    return result;
+  }
+  
+  // Resolve a verification provider adapter by name, creating it on first use
+  getVerificationProvider(name) {
+    const key = String(name || '').toLowerCase();
+    if (!this.verificationProviders.has(key)) {
+      const provider = createVerificationProvider(key, this.providerOptions[key] || {});
+      if (!provider) {
+        console.error('VERIFICATION_PROVIDER: Unknown provider configured', { provider: name });
+        return null;
+      }
+      this.verificationProviders.set(key, provider);
+    }
+    return this.verificationProviders.get(key);
+  }
+  
+  // Per-client settings layered over the service-wide defaults
+  getClientSettings(clientId = null) {
+    const overrides = (clientId && this.config.clientSettings?.[clientId]) || {};
+    const definedOverrides = Object.fromEntries(
+      Object.entries(overrides).filter(([, value]) => value !== undefined && value !== null)
+    );
+    
+    // A client that picks its own transforms gets them for every provider unless it also limits providers
+    if (definedOverrides.localPartNormalizations && !definedOverrides.normalizeProviders) {
+      definedOverrides.normalizeProviders = this.config.normalization?.providers || null;
+    }
+    
+    return {
+      primaryProvider: this.verification.primary,
+      fallbackProvider: this.verification.fallback,
+      disposablePolicy: this.disposablePolicy,
+      downgradeRoleAccounts: this.downgradeRoleAccounts,
+      typoAutoCorrectThreshold: this.typoAutoCorrectThreshold,
+      autoApplyRepairs: this.autoApplyRepairs,
+      localPartNormalizations: this.normalizationDefaults.transforms,
+      normalizeProviders: this.normalizationDefaults.providers,
+      primaryAddressPolicy: this.multiAddress.policy,
+      region: this.region,
+      staleWhileRevalidate: this.staleWhileRevalidate,
+      ...definedOverrides,
+      // Statuses the client leaves unset keep the service-wide window
+      storedResultTtlDays: { ...this.storedResultTtlDays, ...(definedOverrides.storedResultTtlDays || {}) }
+    };
+  }
+  
+  // Check an email with the client's primary verification provider, falling back to
+  // the secondary provider when the primary is unavailable or fails
+  async checkWithProvider(email, clientId = null, options = {}) {
+    const settings = this.getClientSettings(clientId);
+    const providerNames = options.providerName
+      ? [options.providerName]
+      : [...new Set([settings.primaryProvider, settings.fallbackProvider])]
+          .filter(name => name && name !== 'none');
+    
+    console.log('PROVIDER_CHECK: Starting validation for email', {
+      email,
+      clientId: clientId || 'default',
+      providers: providerNames
+    });
+    
+    const providerAttempts = [];
+    let providerResult = null;
+    
+    for (const providerName of providerNames) {
+      const provider = this.getVerificationProvider(providerName);
+      if (!provider) {
+        continue;
+      }
       
-      // UPDATED: Implement retry logic on timeout or failure
-      const isTimeout = error.message.includes('timeout');
-      const shouldRetry = retryCount < this.zeroBounceMaxRetries; 
+      providerResult = await provider.verify(email);
+      providerAttempts.push({
+        provider: provider.name,
+        status: providerResult.status,
+        cost: providerResult.cost || 0,
+        error: providerResult.error || null
+      });
       
-      if ((isTimeout || error.message.includes('network')) && shouldRetry) {
-        console.log('ZEROBOUNCE_CHECK: Retrying after error', {
-          email,
-          retryCount,
-          error: error.message
-        });
-        
-        // Wait briefly before retry (exponential backoff)
-        const backoffDelay = Math.min(1000 * Math.pow(2, retryCount), 3000);
-        await new Promise(resolve => setTimeout(resolve, backoffDelay));
-        
-        // Retry the check with incremented retry count
-        return this.checkWithZeroBounce(email, clientId, retryCount + 1);
+      if (providerResult.status !== 'check_failed' && providerResult.status !== 'check_skipped') {
+        break;
       }
       
-      // Return failure response if we can't retry
+      console.log('PROVIDER_CHECK: Provider did not return a verdict, trying next provider', {
+        email,
+        provider: provider.name,
+        status: providerResult.status
+      });
+    }
+    
+    if (!providerResult) {
+      console.log('PROVIDER_CHECK: No verification provider configured, skipping check');
       return {
         email,
-        status: 'check_failed',
+        status: 'check_skipped',
         recheckNeeded: true,
-        source: 'zerobounce',
-        error: error.message,
-        retryCount,
-        isTimeout
+        source: 'configuration',
+        providerAttempts
       };
     }
+    
+    return this.buildProviderCheckResult(email, clientId, providerResult, providerAttempts);
+  }
+  
+  // Map a provider's common result shape onto the validation result fields
+  buildProviderCheckResult(email, clientId, providerResult, providerAttempts = []) {
+    const cost = providerAttempts.reduce((total, attempt) => total + attempt.cost, 0);
+    
+    if (providerResult.status === 'check_failed' || providerResult.status === 'check_skipped') {
+      return {
+        email,
+        status: providerResult.status,
+        recheckNeeded: true,
+        source: providerResult.source || providerResult.provider,
+        error: providerResult.error,
+        retryCount: providerResult.retryCount || 0,
+        isTimeout: providerResult.isTimeout || false,
+        cost,
+        providerAttempts
+      };
+    }
+    
+    // UPDATED: Generate unmessy fields with new date format and millisecond epoch
+    const umCheckId = this.generateUmCheckId(clientId);
+    const now = new Date();
+    const formattedDate = this.formatDateString(now);
+    const epochTimeMs = now.getTime();
+    
+    const suggestedEmail = providerResult.suggestion || null;
+    if (suggestedEmail) {
+      console.log('PROVIDER_CHECK: Found email suggestion from provider', {
+        provider: providerResult.provider,
+        original: email,
+        suggested: suggestedEmail
+      });
+    }
+    
+    let umBounceStatus = 'Unknown';
+    if (providerResult.status === 'valid') {
+      umBounceStatus = 'Unlikely to bounce';
+    } else if (providerResult.status === 'invalid') {
+      umBounceStatus = 'Likely to bounce';
+    }
+    
+    return {
+      email,
+      status: providerResult.status,
+      subStatus: providerResult.subStatus || undefined,
+      recheckNeeded: providerResult.recheckNeeded,
+      suggestedEmail,
+      source: providerResult.provider,
+      providerStatus: providerResult.providerStatus,
+      isCatchAll: providerResult.isCatchAll || false,
+      details: providerResult.raw,
+      retryCount: providerResult.retryCount || 0,
+      cost,
+      providerAttempts,
+      // Add unmessy specific fields with updated formats
+      date_last_um_check: formattedDate,
+      date_last_um_check_epoch: epochTimeMs,
+      um_check_id: umCheckId,
+      um_email: suggestedEmail || email,
+      um_email_status: suggestedEmail ? 'Changed' : 'Unchanged',
+      um_bounce_status: umBounceStatus
+    };
+  }
+  
+  // Check directly with ZeroBounce, regardless of the client's configured providers
+  async checkWithZeroBounce(email, clientId = null) {
+    return this.checkWithProvider(email, clientId, { providerName: 'zerobounce' });
   }
   
   // UPDATED: Save data synchronously during validation with retry logic and new date formats
@@ -1124,7 +1864,8 @@ export class EmailValidationService {
       timeoutMs = this.timeouts.validation, 
       isRetry = false,
       clientId = null,  // Parameter to track which client made the request
-      retryCount = 0    // Track ZeroBounce retry attempts
+      retryCount = 0,   // Track ZeroBounce retry attempts
+      splitMultiple = true  // Validate each address of a multi-address field separately
     } = options;
     
     console.log('VALIDATION_PROCESS: Starting validation for email', { 
@@ -1137,8 +1878,17 @@ export class EmailValidationService {
       supabaseStatus: this.supabaseConnectionStatus
     });
     
-    // Start with quick validation (now async with database checks)
-    const quickResult = await this.quickValidate(email, clientId);
+    // Fields such as "a@x.com; b@y.com" are validated address by address
+    if (splitMultiple) {
+      const addresses = splitAddressList(this.cleanupUnicode(email).text);
+      if (addresses.length > 1) {
+        return this.validateMultipleAddresses(email, addresses, options);
+      }
+    }
+    
+    // Start with quick validation (now async with database checks). Client policies are
+    // applied at the end of the pipeline, so the verdict it stores is the same for every client.
+    const quickResult = await this.quickValidate(email, clientId, { applyPolicies: false });
     
     // If format is invalid, return immediately
     if (!quickResult.formatValid) {
@@ -1146,15 +1896,113 @@ export class EmailValidationService {
       return quickResult;
     }
     
-    // If domain is invalid (in invalid_domains table), return immediately and skip ZeroBounce
-    if (quickResult.isInvalidDomain) {
-      console.log('VALIDATION_PROCESS: Domain is in invalid domains list, returning invalid without ZeroBounce check', {
+    // If domain is invalid (in invalid_domains table, dead in DNS or disposable under the
+    // client's 'invalid' policy), return immediately and skip the provider check
+    if (quickResult.isInvalidDomain || quickResult.isDeadDomain ||
+        (quickResult.isDisposable && quickResult.status === 'invalid')) {
+      console.log('VALIDATION_PROCESS: Domain is invalid or cannot receive mail, returning invalid without provider check', {
         email: quickResult.currentEmail,
         domain: quickResult.currentEmail.split('@')[1]
       });
       return quickResult;
     }
     
+    // Concurrent calls for the same mailbox share one stored lookup, provider call and save
+    return this.coalesceValidation(quickResult, options, () => this.runValidationPipeline(email, quickResult, options));
+  }
+  
+  // Key for sharing a pipeline: the canonical mailbox plus every option that changes the outcome
+  getInFlightKey(quickResult, options = {}) {
+    const { clientId = null } = options;
+    return JSON.stringify([
+      clientId || 'default',
+      quickResult.canonicalEmail || quickResult.currentEmail,
+      options.skipZeroBounce === true,
+      options.isRetry === true,
+      options.maxAgeDays ?? null,
+      options.staleWhileRevalidate ?? this.getClientSettings(clientId).staleWhileRevalidate,
+      options.crmContactId || null
+    ]);
+  }
+  
+  // Run the pipeline once per key; callers arriving while it is in flight wait for the same
+  // result. Every caller gets its own copy, with coalescedCallers set to the number that shared it.
+  async coalesceValidation(quickResult, options, runPipeline) {
+    if (!inFlightValidations.has(this.config)) {
+      inFlightValidations.set(this.config, new Map());
+    }
+    const flights = inFlightValidations.get(this.config);
+    const key = this.getInFlightKey(quickResult, options);
+    
+    let flight = flights.get(key);
+    if (flight) {
+      flight.callers++;
+      console.log('VALIDATION_PROCESS: Joining in-flight validation for the same address', {
+        email: quickResult.currentEmail,
+        canonicalEmail: quickResult.canonicalEmail,
+        callers: flight.callers
+      });
+    } else {
+      // The pipeline appends to the quick result's steps, so their count is taken now
+      flight = { callers: 1, quickResult, quickStepCount: quickResult.validationSteps.length, promise: null };
+      flight.promise = runPipeline().finally(() => flights.delete(key));
+      flights.set(key, flight);
+    }
+    
+    const shared = await flight.promise;
+    const result = this.adoptSharedResult(quickResult, flight, shared);
+    result.coalescedCallers = flight.callers;
+    return result;
+  }
+  
+  // A copy of the shared result for one caller. Callers that typed the address differently
+  // keep their own originalEmail, corrections and quick steps, with the leader's verdict.
+  adoptSharedResult(quickResult, flight, shared) {
+    const leaderQuickResult = flight.quickResult;
+    const sameInput = quickResult === leaderQuickResult ||
+      (quickResult.originalEmail === leaderQuickResult.originalEmail &&
+       quickResult.currentEmail === leaderQuickResult.currentEmail);
+    if (sameInput) {
+      return structuredClone(shared);
+    }
+    
+    // The provider suggested another address and the verdict is for that address, so the
+    // follower takes the whole result, address fields and steps included, under its own input
+    if (shared.currentEmail !== leaderQuickResult.currentEmail) {
+      const result = structuredClone(shared);
+      result.originalEmail = quickResult.originalEmail;
+      result.email = quickResult.originalEmail;
+      const suggestionStep = result.validationSteps.findLast(step => step.step === 'provider_suggestion');
+      if (suggestionStep) suggestionStep.original = quickResult.originalEmail;
+      return result;
+    }
+    
+    const result = structuredClone(quickResult);
+    for (const field of COALESCED_VERDICT_FIELDS) {
+      if (shared[field] !== undefined) result[field] = structuredClone(shared[field]);
+    }
+    result.validationSteps.push(...structuredClone(shared.validationSteps.slice(flight.quickStepCount)));
+    return result;
+  }
+  
+  // Stored lookup, verification provider, SMTP probe and save for an address that passed
+  // quick validation
+  async runValidationPipeline(email, quickResult, options = {}) {
+    const { 
+      skipZeroBounce = false, 
+      timeoutMs = this.timeouts.validation, 
+      isRetry = false,
+      clientId = null,
+      retryCount = 0,
+      maxAgeDays = null,  // Oldest stored verdict this caller accepts; shortens the client's policy
+      staleWhileRevalidate = this.getClientSettings(clientId).staleWhileRevalidate,
+      crmContactId = null  // HubSpot contact for the revalidation write-back; only set from signed webhooks
+    } = options;
+    
+    // email_validations rows are read and written under the corrected address, so every
+    // spelling that corrects to it finds the same row
+    const storageKey = quickResult.currentEmail;
+    
     // Set a global timeout for the entire validation process
     try {
       console.log('VALIDATION_PROCESS: Starting advanced validation checks');
@@ -1162,29 +2010,59 @@ export class EmailValidationService {
       const result = await this.withTimeout(
         async () => {
           // Log the process
-          console.log('VALIDATION_PROCESS: Running Supabase and ZeroBounce checks in parallel');
+          console.log('VALIDATION_PROCESS: Checking stored results before the verification provider');
+          
+          // A domain seen accepting every address recently can't be verified per mailbox,
+          // so the paid provider call is skipped
+          const catchAllVerdict = skipZeroBounce
+            ? null
+            : await this.limits.supabase.run(() => this.domainIntelligence.getCatchAllVerdict(quickResult.domainAscii));
+          const skipProvider = skipZeroBounce || !!catchAllVerdict;
           
-          // Run Supabase check and ZeroBounce check in parallel
-          const [knownValidResult, zeroBounceResult] = await Promise.allSettled([
-            this.isKnownValidEmail(quickResult.currentEmail),
-            skipZeroBounce ? null : this.checkWithZeroBounce(quickResult.currentEmail, clientId, retryCount)
+          // The stored result is read first: a fresh one, valid or not, saves the provider credit
+          const [storedResult] = await Promise.allSettled([
+            this.limits.supabase.run(() => this.getStoredValidation(storageKey))
           ]);
           
           // Start with the quick result and enhance it
-          const result = { ...quickResult };
+          const result = { ...quickResult, servedFromStorage: false, storedResultAgeDays: null, stale: false };
           // Add Supabase result if successful - this is the database fallback
-          if (knownValidResult.status === 'fulfilled' && knownValidResult.value.found) {
-            console.log('VALIDATION_PROCESS: Email found in Supabase database, marking as valid', { 
-              email: quickResult.currentEmail 
+          if (storedResult.status === 'fulfilled' && storedResult.value.found && storedResult.value.data) {
+            const validationData = storedResult.value.data;
+            const stored = this.getStoredResultFreshness(validationData, clientId, maxAgeDays);
+            
+            console.log('VALIDATION_PROCESS: Email found in Supabase database', { 
+              email: quickResult.currentEmail,
+              storedStatus: stored.status,
+              ageDays: stored.ageDays,
+              windowDays: stored.windowDays,
+              fresh: stored.fresh
+            });
+            
+            result.isKnownValid = stored.status === 'valid';
+            result.validationSteps.push({
+              step: 'known_valid_check',
+              passed: stored.status === 'valid',
+              storedStatus: stored.status,
+              ageDays: stored.ageDays,
+              windowDays: stored.windowDays,
+              fresh: stored.fresh
             });
             
-            const validationData = knownValidResult.value.data;
+            // Past its window the verdict can still be served, marked stale, while a queued
+            // job checks it again. If the job can't be queued, validation continues here.
+            const serveStale = !stored.fresh && staleWhileRevalidate && !isRetry &&
+              stored.ageDays < this.maxStaleDays &&
+              await this.enqueueRevalidation(quickResult.currentEmail, { clientId, crmContactId, stored });
             
-            // Update the result with data from the database
-            if (validationData) {
-              result.isKnownValid = true;
-              result.status = validationData.um_bounce_status === 'Unlikely to bounce' ? 'valid' : 'invalid';
-              result.recheckNeeded = false;
+            // A stale valid record still stands in if the provider fails; a stale negative
+            // one is simply checked again
+            if (stored.fresh || serveStale || stored.status === 'valid') {
+              result.status = stored.status;
+              result.subStatus = stored.subStatus || undefined;
+              // do_not_mail is ZeroBounce's final advice, so checking again won't change it
+              result.recheckNeeded = stored.status === 'check_failed' ||
+                (stored.status === 'unknown' && stored.subStatus !== 'do_not_mail');
               
               // Include the stored Supabase data in the result
               Object.assign(result, {
@@ -1194,61 +2072,87 @@ export class EmailValidationService {
                 date_last_um_check_epoch: validationData.date_last_um_check_epoch,
                 um_check_id: validationData.um_check_id
               });
+              
+              if (stored.subStatus === 'catch_all') {
+                this.markCatchAll(result);
+              }
             }
             
-            result.validationSteps.push({ step: 'known_valid_check', passed: true });
-            
-            // If we already have a recent validation, we can return early
-            // UPDATED: Check if date_last_um_check_epoch is in milliseconds or seconds format
-            const lastCheckMs = typeof validationData.date_last_um_check_epoch === 'number' && 
-                               validationData.date_last_um_check_epoch > 1000000000000
-              ? validationData.date_last_um_check_epoch  // Already in milliseconds
-              : (validationData.date_last_um_check_epoch || 0) * 1000;  // Convert seconds to milliseconds
-
-            if (validationData && Date.now() - lastCheckMs < 7 * 24 * 60 * 60 * 1000) {
-              return result;
+            // Within the status's window the stored verdict is returned as is
+            if (stored.fresh || serveStale) {
+              result.servedFromStorage = true;
+              result.storedResultAgeDays = stored.ageDays;
+              if (serveStale) {
+                result.stale = true;
+                result.revalidationQueued = true;
+              }
+              return this.applyAddressPolicies(result, clientId);
             }
           } else {
             console.log('VALIDATION_PROCESS: Email not found in Supabase or check failed', {
               email: quickResult.currentEmail,
-              status: knownValidResult.status
+              status: storedResult.status
             });
             
             result.isKnownValid = false;
             result.validationSteps.push({ 
               step: 'known_valid_check', 
               passed: false, 
-              error: knownValidResult.status === 'rejected' ? knownValidResult.reason.message : null 
+              error: storedResult.status === 'rejected' ? storedResult.reason.message : null 
+            });
+          }
+          
+          const [providerResult] = await Promise.allSettled([
+            skipProvider ? null : this.limits.provider.run(() => this.checkWithProvider(toAsciiEmail(quickResult.currentEmail), clientId))
+          ]);
+          
+          let providerFailed = false;
+          if (catchAllVerdict) {
+            console.log('VALIDATION_PROCESS: Domain is a known catch-all, skipped verification provider', {
+              email: quickResult.currentEmail,
+              domain: quickResult.domainAscii,
+              source: catchAllVerdict.source,
+              ageDays: catchAllVerdict.ageDays
+            });
+            
+            this.markCatchAll(result);
+            result.validationSteps.push({
+              step: 'catch_all_cache',
+              domain: quickResult.domainAscii,
+              source: catchAllVerdict.source,
+              checkedAt: catchAllVerdict.checkedAt,
+              ageDays: catchAllVerdict.ageDays
             });
           }
           
-          // UPDATED: Check ZeroBounce result and handle retry failures
-          if (!skipZeroBounce && zeroBounceResult?.status === 'fulfilled' && zeroBounceResult.value) {
-            const bounceCheck = zeroBounceResult.value;
+          // Check the verification provider result and handle failures
+          if (!skipProvider && providerResult?.status === 'fulfilled' && providerResult.value) {
+            const providerCheck = providerResult.value;
+            providerFailed = providerCheck.status === 'check_failed';
             
-            console.log('VALIDATION_PROCESS: ZeroBounce check completed', {
+            console.log('VALIDATION_PROCESS: Verification provider check completed', {
               email: quickResult.currentEmail,
-              status: bounceCheck.status,
-              subStatus: bounceCheck.subStatus,
-              suggestedEmail: bounceCheck.suggestedEmail,
-              retryCount: bounceCheck.retryCount || 0,
+              status: providerCheck.status,
+              subStatus: providerCheck.subStatus,
+              suggestedEmail: providerCheck.suggestedEmail,
+              retryCount: providerCheck.retryCount || 0,
               clientId: clientId || 'default'
             });
             
-            // Check for suggested email from ZeroBounce
-            if (bounceCheck.suggestedEmail && !isRetry) {
-              console.log('VALIDATION_PROCESS: ZeroBounce suggested an email correction, revalidating', {
+            // Check for suggested email from the provider
+            if (providerCheck.suggestedEmail && !isRetry) {
+              console.log('VALIDATION_PROCESS: Verification provider suggested an email correction, revalidating', {
                 originalEmail: email,
-                suggestedEmail: bounceCheck.suggestedEmail
+                suggestedEmail: providerCheck.suggestedEmail
               });
               
               // Before revalidating, check if the suggested domain is in the invalid domains list
-              const suggestedDomain = bounceCheck.suggestedEmail.split('@')[1];
+              const suggestedDomain = providerCheck.suggestedEmail.split('@')[1];
               const isSuggestedDomainInvalid = await this.checkInvalidDomain(suggestedDomain);
               
               if (isSuggestedDomainInvalid) {
-                console.log('VALIDATION_PROCESS: ZeroBounce suggested domain is in invalid domains list, ignoring suggestion', {
-                  suggestedEmail: bounceCheck.suggestedEmail,
+                console.log('VALIDATION_PROCESS: Provider suggested domain is in invalid domains list, ignoring suggestion', {
+                  suggestedEmail: providerCheck.suggestedEmail,
                   suggestedDomain
                 });
                 
@@ -1259,9 +2163,9 @@ export class EmailValidationService {
                 result.um_bounce_status = 'Likely to bounce';
                 
                 result.validationSteps.push({
-                  step: 'zerobounce_suggestion',
+                  step: 'provider_suggestion',
                   original: email,
-                  suggested: bounceCheck.suggestedEmail,
+                  suggested: providerCheck.suggestedEmail,
                   suggestedDomainInvalid: true,
                   result: 'invalid'
                 });
@@ -1270,20 +2174,21 @@ export class EmailValidationService {
               }
               
               // Recursive call with the suggested email, but mark as a retry to prevent infinite loops
-              const suggestedEmailResult = await this.validateEmail(bounceCheck.suggestedEmail, {
-                skipZeroBounce: false,  // Always check with ZeroBounce for the suggested email
+              const suggestedEmailResult = await this.validateEmail(providerCheck.suggestedEmail, {
+                skipZeroBounce: false,  // Always check with the provider for the suggested email
                 timeoutMs: timeoutMs * 0.8,  // Reduce timeout for the retry to ensure we don't exceed the original
                 isRetry: true,  // Mark this as a retry to prevent infinite loops
-                clientId: clientId  // Pass along client ID
+                clientId: clientId,  // Pass along client ID
+                maxAgeDays
               });
               
               // Add information about the suggestion to the result
               suggestedEmailResult.originalEmail = email;
               suggestedEmailResult.wasCorrected = true;
               suggestedEmailResult.validationSteps.push({
-                step: 'zerobounce_suggestion',
+                step: 'provider_suggestion',
                 original: email,
-                suggested: bounceCheck.suggestedEmail,
+                suggested: providerCheck.suggestedEmail,
                 result: suggestedEmailResult.status
               });
               
@@ -1291,9 +2196,9 @@ export class EmailValidationService {
               suggestedEmailResult.um_email_status = 'Changed';
               suggestedEmailResult.email = email;
               
-              console.log('VALIDATION_PROCESS: Completed validation with ZeroBounce suggestion', {
+              console.log('VALIDATION_PROCESS: Completed validation with provider suggestion', {
                 originalEmail: email,
-                suggestedEmail: bounceCheck.suggestedEmail,
+                suggestedEmail: providerCheck.suggestedEmail,
                 finalStatus: suggestedEmailResult.status,
                 clientId: clientId || 'default'
               });
@@ -1301,43 +2206,58 @@ export class EmailValidationService {
               return suggestedEmailResult;
             }
             
-            // Only update if we got a definitive result or no suggested email was available
-            if (bounceCheck.status === 'valid' || bounceCheck.status === 'invalid') {
-              result.status = bounceCheck.status;
-              result.subStatus = bounceCheck.subStatus;
-              result.recheckNeeded = bounceCheck.recheckNeeded;
+            // Only update if we got a definitive result or no suggested email was available.
+            // do_not_mail stays unknown but is the provider's final word on the address.
+            if (providerCheck.status === 'valid' || providerCheck.status === 'invalid' ||
+                providerCheck.subStatus === 'do_not_mail') {
+              result.status = providerCheck.status;
+              result.subStatus = providerCheck.subStatus;
+              result.recheckNeeded = providerCheck.recheckNeeded;
               
-              // Update unmessy fields from ZeroBounce results
-              result.um_bounce_status = bounceCheck.um_bounce_status;
-              result.um_check_id = bounceCheck.um_check_id;
-              result.date_last_um_check = bounceCheck.date_last_um_check;
-              result.date_last_um_check_epoch = bounceCheck.date_last_um_check_epoch;
+              // Update unmessy fields from provider results
+              result.um_bounce_status = providerCheck.um_bounce_status;
+              result.um_check_id = providerCheck.um_check_id;
+              result.date_last_um_check = providerCheck.date_last_um_check;
+              result.date_last_um_check_epoch = providerCheck.date_last_um_check_epoch;
+            }
+            
+            // Catch-all is a verdict about the domain, so it is remembered for the next address
+            if (providerCheck.isCatchAll) {
+              this.markCatchAll(result);
+              result.um_check_id = providerCheck.um_check_id;
+              result.date_last_um_check = providerCheck.date_last_um_check;
+              result.date_last_um_check_epoch = providerCheck.date_last_um_check_epoch;
+              await this.domainIntelligence.recordCatchAll(quickResult.domainAscii, true, providerCheck.source);
+            } else if (providerCheck.status === 'invalid' && providerCheck.subStatus === 'mailbox_not_found') {
+              // A domain that rejects one mailbox doesn't accept everything
+              await this.domainIntelligence.recordCatchAll(quickResult.domainAscii, false, providerCheck.source);
             }
             
             result.validationSteps.push({
-              step: 'zerobounce_check',
-              result: bounceCheck
+              step: 'provider_check',
+              result: providerCheck
             });
-          } else if (!skipZeroBounce) {
-            // UPDATED: Handle ZeroBounce failure (including after retries)
-            console.log('VALIDATION_PROCESS: ZeroBounce check failed or was skipped', {
+          } else if (!skipProvider) {
+            providerFailed = true;
+            // Handle provider failure (including after retries)
+            console.log('VALIDATION_PROCESS: Verification provider check failed or was skipped', {
               email: quickResult.currentEmail,
-              error: zeroBounceResult?.reason?.message || 'Failed or skipped',
+              error: providerResult?.reason?.message || 'Failed or skipped',
               retryCount: retryCount
             });
             
             // If this was a timeout and we still have domain check results, use those instead
-            if (zeroBounceResult?.reason?.message?.includes('timeout') || 
-                (zeroBounceResult?.value?.error?.includes('timeout'))) {
+            if (providerResult?.reason?.message?.includes('timeout') || 
+                (providerResult?.value?.error?.includes('timeout'))) {
               
-              console.log('VALIDATION_PROCESS: ZeroBounce timed out, using database check results', {
+              console.log('VALIDATION_PROCESS: Verification provider timed out, using database check results', {
                 email: quickResult.currentEmail,
                 domainValid: result.domainValid
               });
               
               // If domain is valid according to database checks, we can consider the email valid
               if (result.domainValid) {
-                console.log('VALIDATION_PROCESS: Domain valid in database, marking as valid despite ZeroBounce timeout');
+                console.log('VALIDATION_PROCESS: Domain valid in database, marking as valid despite provider timeout');
                 result.status = 'valid';
                 result.recheckNeeded = false;
                 result.um_bounce_status = 'Unlikely to bounce';
@@ -1350,12 +2270,26 @@ export class EmailValidationService {
             }
             
             result.validationSteps.push({
-              step: 'zerobounce_check',
-              error: zeroBounceResult?.reason?.message || 'Failed or skipped',
+              step: 'provider_check',
+              error: providerResult?.reason?.message || 'Failed or skipped',
               fallbackToDatabase: result.domainValid
             });
           }
           
+          // Probe the mailbox over SMTP when nothing so far gave a definitive answer
+          if (this.smtpProber.enabled && result.status !== 'valid' && result.status !== 'invalid' && !result.isCatchAll) {
+            await this.applySmtpProbe(result, clientId);
+          }
+          
+          // Client policies are applied on top of the stored verdict, never saved with it.
+          // An address left unknown because the provider failed is stored as check_failed,
+          // so it gets the shorter window.
+          const verdict = {
+            status: providerFailed && result.status === 'unknown' && !result.subStatus ? 'check_failed' : result.status,
+            subStatus: result.subStatus
+          };
+          this.applyAddressPolicies(result, clientId);
+          
           console.log('VALIDATION_PROCESS: All validation steps completed successfully', {
             email: quickResult.currentEmail,
             finalStatus: result.status,
@@ -1365,11 +2299,12 @@ export class EmailValidationService {
           
           // CRITICAL FIX: Save to Supabase synchronously during validation process
           // This ensures the save completes before the function terminates
-          // Only save if the email is valid (saveValidationResult will check this too)
-          if (this.supabaseEnabled && result.status === 'valid') {
+          // Every status with a stored-result TTL is saved, negative ones included.
+          // Flagged disposable addresses are not stored.
+          if (this.supabaseEnabled && this.isStoredStatus(verdict.status, clientId) && !result.isDisposable) {
             try {
-              console.log('VALIDATION_PROCESS: Starting synchronous save to Supabase for valid email');
-              const saveResult = await this.saveValidationResult(email, result, clientId);
+              console.log('VALIDATION_PROCESS: Starting synchronous save to Supabase', { status: verdict.status });
+              const saveResult = await this.limits.supabase.run(() => this.saveValidationResult(storageKey, { ...result, ...verdict }, clientId));
               console.log('VALIDATION_PROCESS: Supabase save completed', { 
                 success: saveResult.success,
                 operation: saveResult.operation,
@@ -1383,7 +2318,7 @@ export class EmailValidationService {
               });
             }
           } else if (this.supabaseEnabled) {
-            console.log('VALIDATION_PROCESS: Skipping save for non-valid email', {
+            console.log('VALIDATION_PROCESS: Skipping save for status that is not stored', {
               email: email,
               status: result.status
             });
@@ -1405,10 +2340,10 @@ export class EmailValidationService {
       console.log('VALIDATION_PROCESS: Using quick validation result as fallback due to timeout');
       
       // Try to save quick result to Supabase synchronously if it's valid
-      if (this.supabaseEnabled && quickResult.status === 'valid') {
+      if (this.supabaseEnabled && quickResult.status === 'valid' && !quickResult.isDisposable) {
         try {
           console.log('VALIDATION_PROCESS: Saving fallback result to Supabase');
-          await this.saveValidationResult(email, quickResult, clientId);
+          await this.saveValidationResult(storageKey, quickResult, clientId);
         } catch (saveError) {
           console.error('VALIDATION_PROCESS: Error saving fallback result', {
             error: saveError.message,
@@ -1422,59 +2357,269 @@ export class EmailValidationService {
         });
       }
       
-      // Return quick result on timeout
-      return quickResult;
+      // Return quick result on timeout, under the client's policies
+      return this.applyAddressPolicies({ ...quickResult }, clientId);
     }
   }
   
-  // Batch validation with time budget management - updated to work with async quickValidate
+  // Queue a background revalidation of a stale stored verdict. Returns false when the job
+  // couldn't be queued, so the caller validates inline instead.
+  async enqueueRevalidation(email, { clientId = null, crmContactId = null, stored = null } = {}) {
+    const key = `${clientId || 'default'}:${email}`;
+    const queuedAt = this.recentRevalidations.get(key);
+    if (queuedAt && Date.now() - queuedAt < this.revalidationDedupeMs) {
+      return true;
+    }
+    
+    if (!this.revalidationQueue.isEnabled()) {
+      return false;
+    }
+    
+    const enqueueResult = await this.revalidationQueue.enqueue({
+      subscriptionType: 'email.revalidate',
+      objectId: crmContactId,
+      email,
+      clientId,
+      crmContactId,
+      staleStatus: stored?.status || null,
+      staleAgeDays: stored?.ageDays ?? null
+    }, 'revalidation');
+    
+    if (!enqueueResult.success) {
+      console.error('REVALIDATION: Could not queue revalidation, validating inline', {
+        email,
+        reason: enqueueResult.reason
+      });
+      return false;
+    }
+    
+    this.recentRevalidations.set(key, Date.now());
+    console.log('REVALIDATION: Queued revalidation for stale stored result', {
+      email,
+      clientId: clientId || 'default',
+      staleStatus: stored?.status || null,
+      staleAgeDays: stored?.ageDays ?? null
+    });
+    return true;
+  }
+  
+  // Run a queued revalidation job: a full check whose result is saved by validateEmail, then
+  // written to the CRM when the job names a contact and HubSpot is configured
+  async revalidate(job, options = {}) {
+    const { email, clientId = null, crmContactId = null } = job || {};
+    if (!email) {
+      return { success: false, reason: 'no_email' };
+    }
+    
+    const validationResult = await this.validateEmail(email, {
+      ...options,
+      clientId,
+      staleWhileRevalidate: false
+    });
+    
+    let updateResult = null;
+    if (crmContactId && this.hubspotClient.apiKey) {
+      updateResult = await this.updateHubSpotContact(crmContactId, validationResult);
+    }
+    
+    console.log('REVALIDATION: Revalidation completed', {
+      email,
+      clientId: clientId || 'default',
+      previousStatus: job.staleStatus || null,
+      status: validationResult.status,
+      servedFromStorage: validationResult.servedFromStorage || false,
+      crmUpdated: updateResult ? updateResult.success : null
+    });
+    
+    return {
+      success: true,
+      contactId: crmContactId,
+      validationResult,
+      updateResult
+    };
+  }
+  
+  // Addresses found in a multi-address field; a single address comes back as one entry
+  splitAddressList(input) {
+    return splitAddressList(input);
+  }
+  
+  // Validate every address found in one field and return the primary one chosen by the
+  // client's policy, with the others listed in additionalEmails
+  async validateMultipleAddresses(input, addresses, options = {}) {
+    const { clientId = null } = options;
+    const { primaryAddressPolicy } = this.getClientSettings(clientId);
+    const candidates = addresses.slice(0, this.multiAddress.maxAddresses);
+    
+    console.log('VALIDATION_PROCESS: Field contains multiple addresses, validating each', {
+      input,
+      found: addresses.length,
+      validating: candidates.length,
+      policy: primaryAddressPolicy,
+      clientId: clientId || 'default'
+    });
+    
+    const results = await Promise.all(candidates.map(address => this.validateEmail(address, {
+      ...options,
+      splitMultiple: false
+    })));
+    
+    const primaryIndex = selectPrimaryAddress(results, primaryAddressPolicy);
+    const primary = results[primaryIndex];
+    const additionalEmails = results
+      .filter((_, index) => index !== primaryIndex)
+      .map(result => ({
+        email: result.currentEmail,
+        originalEmail: result.originalEmail,
+        status: result.status,
+        subStatus: result.subStatus || null
+      }));
+    
+    console.log('VALIDATION_PROCESS: Selected primary address', {
+      primary: primary.currentEmail,
+      status: primary.status,
+      additional: additionalEmails.length,
+      policy: primaryAddressPolicy
+    });
+    
+    return {
+      ...primary,
+      originalEmail: input,
+      email: input,
+      wasCorrected: primary.formatValid ? true : primary.wasCorrected,
+      um_email_status: primary.formatValid ? 'Changed' : primary.um_email_status,
+      additionalEmails,
+      validationSteps: [
+        {
+          step: 'multi_address_split',
+          found: addresses.length,
+          validated: candidates.length,
+          policy: primaryAddressPolicy,
+          primary: primary.currentEmail
+        },
+        ...primary.validationSteps
+      ]
+    };
+  }
+  
+  // The domain accepts mail for any address: the mailbox can't be verified, and checking
+  // again won't change that
+  markCatchAll(result) {
+    result.status = 'unknown';
+    result.subStatus = 'catch_all';
+    result.isCatchAll = true;
+    result.recheckNeeded = false;
+    result.um_bounce_status = 'Unknown';
+    return result;
+  }
+  
+  // Run the SMTP probe against the domain's MX hosts and merge its verdict into the result
+  async applySmtpProbe(result, clientId = null) {
+    const asciiEmail = toAsciiEmail(result.currentEmail);
+    const domain = splitAddrSpec(asciiEmail).domain;
+    const mxRecords = isDomainLiteral(domain)
+      ? [{ exchange: domain.slice(1, -1).replace(/^ipv6:/i, ''), priority: 0 }]
+      : (await this.dnsChecker.checkDomain(domain)).mxRecords || [];
+    const probeResult = await this.smtpProber.probe(asciiEmail, mxRecords);
+    
+    result.validationSteps.push({
+      step: 'smtp_probe',
+      status: probeResult.status,
+      subStatus: probeResult.subStatus || null,
+      mxHost: probeResult.mxHost || null,
+      smtpCode: probeResult.smtpCode || null,
+      isCatchAll: probeResult.isCatchAll || false,
+      error: probeResult.error || null
+    });
+    
+    if (probeResult.status === 'check_skipped' || probeResult.status === 'check_failed') {
+      return result;
+    }
+    
+    result.status = probeResult.status;
+    result.subStatus = probeResult.subStatus || undefined;
+    result.recheckNeeded = probeResult.recheckNeeded;
+    
+    if (probeResult.status === 'valid') {
+      result.um_bounce_status = 'Unlikely to bounce';
+    } else if (probeResult.status === 'invalid') {
+      result.um_bounce_status = 'Likely to bounce';
+    }
+    
+    if (probeResult.isCatchAll) {
+      this.markCatchAll(result);
+      await this.domainIntelligence.recordCatchAll(domain, true, 'smtp_probe');
+    }
+    
+    if (probeResult.status === 'valid' || probeResult.status === 'invalid' || probeResult.isCatchAll) {
+      const now = new Date();
+      result.um_check_id = this.generateUmCheckId(clientId);
+      result.date_last_um_check = this.formatDateString(now);
+      result.date_last_um_check_epoch = now.getTime();
+    }
+    
+    return result;
+  }
+  
+  // Write a validation result back to a HubSpot contact
+  async updateHubSpotContact(contactId, validationResult) {
+    console.log('HUBSPOT_UPDATE: Updating contact with validation result', {
+      contactId,
+      status: validationResult?.status,
+      wasCorrected: validationResult?.wasCorrected || false
+    });
+    
+    if (!validationResult) {
+      return { success: false, contactId, reason: 'missing_validation_result' };
+    }
+    
+    return this.hubspotClient.updateContact(contactId, validationResult);
+  }
+  
+  // Validate a batch with a bounded worker pool. Emails on domains we don't know yet go
+  // first, since they gain most from a full check; when the deadline gets close the rest
+  // fall back to quick validation. Results come back in input order.
   async validateBatch(emails, options = {}) {
     const { 
       skipZeroBounce = false, 
       timeoutPerEmailMs = 2000,
-      clientId = null  // Parameter to track which client made the request
+      budgetMs = Math.min(9000, emails.length * timeoutPerEmailMs),
+      concurrency = this.batchWorkers,
+      clientId = null,  // Parameter to track which client made the request
+      maxAgeDays = null,
+      onResult = null  // Called with (index, result) as each email finishes
     } = options;
     
+    const batchStartTime = Date.now();
+    const deadline = batchStartTime + budgetMs;
+    
+    const queue = await this.scheduleBatch(emails);
+    
     console.log('BATCH_VALIDATION: Starting batch validation', { 
       batchSize: emails.length,
+      workers: Math.min(concurrency, emails.length),
+      budgetMs,
+      unknownDomainEmails: queue.filter(item => item.priority < 2).length,
       clientId: clientId || 'default'
     });
     
-    const results = [];
-    const batchStartTime = Date.now();
-    const totalBatchTimeoutMs = Math.min(9000, emails.length * timeoutPerEmailMs);
+    const results = new Array(emails.length);
+    let quickFallbacks = 0;
     
-    for (let i = 0; i < emails.length; i++) {
-      const email = emails[i];
-      
-      // Calculate remaining time budget
-      const elapsedTime = Date.now() - batchStartTime;
-      const remainingTimeMs = totalBatchTimeoutMs - elapsedTime;
-      
-      // If we're running out of time, use quick validation for remaining emails
+    const validateItem = async (email, remainingTimeMs) => {
+      // Not enough time left for a full check: quick validation only
       if (remainingTimeMs < timeoutPerEmailMs / 2) {
-        console.log('BATCH_VALIDATION: Running out of time, using quick validation for remaining emails', {
-          processed: i,
-          remaining: emails.length - i,
-          remainingTimeMs
-        });
-        
-        // Process remaining emails with quick validation
-        for (let j = i; j < emails.length; j++) {
-          results.push(await this.quickValidate(emails[j], clientId));
-        }
-        break;
+        quickFallbacks++;
+        return this.quickValidate(email, clientId);
       }
       
       try {
-        // Validate with appropriate timeout
-        const result = await this.validateEmail(email, {
+        return await this.validateEmail(email, {
           skipZeroBounce,
           timeoutMs: Math.min(remainingTimeMs, timeoutPerEmailMs),
-          clientId
+          clientId,
+          maxAgeDays
         });
-        
-        results.push(result);
       } catch (error) {
         console.error('BATCH_VALIDATION_ERROR:', {
           email,
@@ -1483,16 +2628,54 @@ export class EmailValidationService {
         });
         
         // Fall back to quick validation
-        results.push(await this.quickValidate(email, clientId));
+        return this.quickValidate(email, clientId);
       }
-    }
+    };
+    
+    const worker = async () => {
+      while (queue.length > 0) {
+        const { index, email } = queue.shift();
+        results[index] = await validateItem(email, deadline - Date.now());
+        if (onResult) onResult(index, results[index]);
+      }
+    };
+    
+    await Promise.all(Array.from({ length: Math.min(Math.max(1, concurrency), emails.length) }, worker));
     
     console.log('BATCH_VALIDATION: Completed batch validation', {
       batchSize: emails.length,
       resultsCount: results.length,
+      quickFallbacks,
+      elapsedMs: Date.now() - batchStartTime,
       clientId: clientId || 'default'
     });
     
     return results;
   }
+  
+  // Order batch items for the worker pool:
+  //   0 - first email on a domain we know nothing about
+  //   1 - further emails on such a domain (they reuse the first one's domain lookups)
+  //   2 - emails on known mailbox domains, whose quick result is already a good fallback
+  async scheduleBatch(emails) {
+    const knownDomains = await this.domainSuggester.getKnownDomains();
+    const seenDomains = new Set();
+    
+    const items = emails.map((email, index) => {
+      const address = typeof email === 'string' ? email.trim().toLowerCase() : '';
+      const domain = address.slice(address.lastIndexOf('@') + 1);
+      
+      let priority = 2;
+      if (!knownDomains.has(domain) && !this.referenceData.isCommonValidDomain(domain) &&
+          !this.dnsChecker.getCached(domain)) {
+        priority = seenDomains.has(domain) ? 1 : 0;
+        seenDomains.add(domain);
+      }
+      
+      return { index, email, priority };
+    });
+    
+    // Array.prototype.sort is stable, so input order holds within a priority
+    return items.sort((a, b) => a.priority - b.priority);
+  }
 }
\ No newline at end of file
@@ -0,0 +1,231 @@
+// src/services/format-repairer.js
+import { getSupabaseClient } from './supabase-client.js';
+
+// Common TLDs and second-level suffixes; the valid_tlds table adds the rest at runtime
+const BUNDLED_TLDS = [
+  'com', 'net', 'org', 'edu', 'gov', 'mil', 'int', 'info', 'biz', 'io', 'co', 'me', 'us', 'ca',
+  'uk', 'au', 'nz', 'ie', 'de', 'fr', 'es', 'it', 'nl', 'be', 'ch', 'at', 'se', 'no', 'dk', 'fi',
+  'pl', 'pt', 'jp', 'cn', 'in', 'sg', 'hk', 'za', 'br', 'mx', 'app', 'dev', 'ai', 'tv', 'email',
+  'com.au', 'net.au', 'org.au', 'edu.au', 'gov.au', 'id.au', 'asn.au',
+  'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'me.uk', 'ltd.uk', 'plc.uk',
+  'co.nz', 'net.nz', 'org.nz', 'ac.nz', 'govt.nz', 'school.nz', 'geek.nz'
+];
+
+// Base confidence per repair type, before the domain check adjusts it
+const REPAIR_CONFIDENCE = {
+  whitespace: 0.95,
+  repeated_at: 0.95,
+  domain_separator: 0.9,
+  stray_dots: 0.9,
+  dot_as_at: 0.85,
+  missing_at: 0.75
+};
+
+// Rebuilds addresses whose structure is broken - "johnsmithgmail.com", "john.smith.gmail.com",
+// "john@@gmail.com", "john@gmail,com" - using known mailbox domains and valid TLDs.
+// Repairs are suggestions with a confidence; the caller decides whether to apply them.
+export class FormatRepairService {
+  constructor(config = {}) {
+    this.enabled = config.enabled !== false;
+    this.tableName = config.tableName || 'valid_tlds';
+    this.refreshIntervalMs = config.refreshIntervalMs || 10 * 60 * 1000; // 10 minutes
+
+    this.tlds = new Set(BUNDLED_TLDS);
+    this.tldsLoadedAt = 0;
+    this.tldsLoading = null;
+    // Shared snapshot of valid_tlds; when given, it replaces our own table load
+    this.referenceData = config.referenceData || null;
+
+    this.supabase = getSupabaseClient(config, 'FORMAT_REPAIRER');
+    this.supabaseEnabled = !!this.supabase;
+
+    console.log('FORMAT_REPAIRER_INIT: Format repair service initialized', {
+      enabled: this.enabled,
+      bundledTlds: this.tlds.size,
+      loadsFromSupabase: this.supabaseEnabled
+    });
+  }
+
+  // Merge valid_tlds into the bundled list, at most once per refresh interval
+  async loadTlds() {
+    if (this.referenceData?.enabled) {
+      await this.referenceData.ensureFresh();
+      return;
+    }
+    
+    if (!this.supabaseEnabled || !this.supabase) {
+      return;
+    }
+
+    if (Date.now() - this.tldsLoadedAt < this.refreshIntervalMs) {
+      return;
+    }
+
+    if (!this.tldsLoading) {
+      this.tldsLoading = this.fetchTlds().finally(() => {
+        this.tldsLoading = null;
+      });
+    }
+
+    await this.tldsLoading;
+  }
+
+  async fetchTlds() {
+    try {
+      const { data, error } = await this.supabase
+        .from(this.tableName)
+        .select('tld');
+
+      if (error) {
+        console.error('FORMAT_REPAIRER_ERROR: TLD query failed', {
+          error: error.message,
+          code: error.code
+        });
+        return;
+      }
+
+      // Rows are stored with a leading dot (".com.au")
+      const tlds = new Set(BUNDLED_TLDS);
+      for (const row of data || []) {
+        if (row.tld) tlds.add(row.tld.trim().toLowerCase().replace(/^\./, ''));
+      }
+
+      this.tlds = tlds;
+      this.tldsLoadedAt = Date.now();
+
+      console.log('FORMAT_REPAIRER: Valid TLDs loaded', { count: tlds.size });
+    } catch (error) {
+      console.error('FORMAT_REPAIRER_ERROR: Exception loading TLDs', {
+        error: error.message
+      });
+    }
+  }
+
+  hasValidTld(domain) {
+    if (this.referenceData?.hasValidTld(domain)) return true;
+    
+    const labels = domain.split('.');
+    for (let i = 1; i < labels.length; i++) {
+      if (this.tlds.has(labels.slice(i).join('.'))) return true;
+    }
+    return false;
+  }
+
+  // Fixes that keep the '@' structure: whitespace, repeated '@', ',' or ';' for '.' in the
+  // domain, and leading, trailing or doubled dots in the domain
+  repairSeparators(input) {
+    let email = input;
+    const repairs = [];
+
+    const noSpaces = email.replace(/\s/g, '');
+    if (noSpaces !== email) {
+      email = noSpaces;
+      repairs.push('whitespace');
+    }
+
+    const singleAt = email.replace(/@{2,}/g, '@');
+    if (singleAt !== email) {
+      email = singleAt;
+      repairs.push('repeated_at');
+    }
+
+    const atIndex = email.lastIndexOf('@');
+    if (atIndex > 0) {
+      const localPart = email.slice(0, atIndex);
+      let domain = email.slice(atIndex + 1);
+
+      const dotted = domain.replace(/[,;]/g, '.');
+      if (dotted !== domain) {
+        domain = dotted;
+        repairs.push('domain_separator');
+      }
+
+      const tidy = domain.replace(/\.{2,}/g, '.').replace(/^\.+|\.+$/g, '');
+      if (tidy !== domain) {
+        domain = tidy;
+        repairs.push('stray_dots');
+      }
+
+      email = `${localPart}@${domain}`;
+    }
+
+    return { email, repairs };
+  }
+
+  // Candidates for an input without any '@': the '@' was typed as '.' or left out entirely.
+  // Only known mailbox domains are considered, since any split would pass the TLD check.
+  findMissingAt(input, knownDomains) {
+    const candidates = [];
+
+    for (const [domain, popularity] of knownDomains) {
+      if (!input.endsWith(domain) || input.length <= domain.length) continue;
+
+      const prefix = input.slice(0, input.length - domain.length);
+      if (prefix.endsWith('.') && prefix.length > 1) {
+        candidates.push({ email: `${prefix.slice(0, -1)}@${domain}`, repair: 'dot_as_at', domain, popularity });
+      } else if (!prefix.endsWith('.')) {
+        candidates.push({ email: `${prefix}@${domain}`, repair: 'missing_at', domain, popularity });
+      }
+    }
+
+    // "johnsmithgmail.com" matches both gmail.com and mail.com - the longest domain is
+    // the likely one, and having had a choice lowers the confidence
+    candidates.sort((a, b) => b.domain.length - a.domain.length || b.popularity - a.popularity);
+    return candidates;
+  }
+
+  // Returns { suggestion, confidence, repairs, knownDomain } or null when no repair yields
+  // an address that passes isValidFormat
+  async repair(input, options = {}) {
+    const { knownDomains = new Map(), isValidFormat = () => true } = options;
+
+    if (!this.enabled || typeof input !== 'string' || !input.trim()) {
+      return null;
+    }
+
+    await this.loadTlds();
+
+    const base = this.repairSeparators(input.trim().toLowerCase());
+    let email = base.email;
+    let repairs = [...base.repairs];
+    let confidence = repairs.reduce((value, repair) => value * REPAIR_CONFIDENCE[repair], 1);
+    let popularity = 0;
+
+    if (!email.includes('@')) {
+      const [best, ...others] = this.findMissingAt(email, knownDomains);
+      if (!best) return null;
+
+      email = best.email;
+      repairs.push(best.repair);
+      popularity = best.popularity;
+      confidence *= REPAIR_CONFIDENCE[best.repair] * (0.8 + 0.2 * popularity);
+      if (others.length > 0) confidence *= 0.9;
+    }
+
+    if (repairs.length === 0 || email === input || !isValidFormat(email)) {
+      return null;
+    }
+
+    const domain = email.slice(email.lastIndexOf('@') + 1);
+    const knownDomain = knownDomains.has(domain);
+    if (!knownDomain) {
+      // A repaired domain we've never seen must at least end in a real TLD
+      if (!this.hasValidTld(domain)) return null;
+      confidence *= 0.85;
+    }
+
+    const result = {
+      suggestion: email,
+      confidence: Math.round(confidence * 1000) / 1000,
+      repairs,
+      knownDomain
+    };
+
+    console.log('FORMAT_REPAIRER: Repaired malformed address', {
+      input,
+      ...result
+    });
+
+    return result;
+  }
+}
@@ -0,0 +1,200 @@
+// src/services/hubspot-client.js
+
+// Statuses accepted by the email_status enumeration property in HubSpot
+const HUBSPOT_EMAIL_STATUSES = new Set(['valid', 'invalid', 'unknown', 'check_failed']);
+
+export class HubSpotClient {
+  constructor(config = {}) {
+    this.apiKey = config.apiKey || '';
+    // Base URL is overridable so a local stand-in can replace api.hubapi.com
+    this.baseUrl = (config.baseUrl || 'https://api.hubapi.com').replace(/\/+$/, '');
+    this.timeoutMs = config.timeoutMs || 8000;
+
+    // Write the corrected address back to the contact's primary email by default
+    this.updatePrimaryEmail = config.updatePrimaryEmail !== false;
+
+    // Custom property names as documented in the README, overridable per portal
+    this.propertyNames = {
+      status: 'email_status',
+      subStatus: 'email_sub_status',
+      recheckNeeded: 'email_recheck_needed',
+      checkDate: 'email_check_date',
+      corrected: 'email_corrected',
+      originalEmail: 'original_email',
+      additionalEmails: 'additional_emails',
+      ...(config.properties || {})
+    };
+
+    console.log('HUBSPOT_CLIENT_INIT: HubSpot client initialized', {
+      baseUrl: this.baseUrl,
+      apiKeyProvided: !!this.apiKey,
+      timeoutMs: this.timeoutMs,
+      updatePrimaryEmail: this.updatePrimaryEmail
+    });
+  }
+
+  // HubSpot date properties expect midnight UTC as epoch milliseconds
+  toHubSpotDate(value) {
+    const date = value ? new Date(value) : new Date();
+    if (isNaN(date.getTime())) {
+      return null;
+    }
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+  }
+
+  // Map a validation result onto the contact properties we maintain in HubSpot
+  buildContactProperties(validationResult) {
+    const names = this.propertyNames;
+    const originalEmail = validationResult.originalEmail || validationResult.email || '';
+    const currentEmail = validationResult.currentEmail || validationResult.um_email || originalEmail;
+    const wasCorrected = !!validationResult.wasCorrected &&
+                         !!currentEmail &&
+                         currentEmail.toLowerCase() !== originalEmail.toLowerCase();
+
+    const status = HUBSPOT_EMAIL_STATUSES.has(validationResult.status)
+      ? validationResult.status
+      : 'unknown';
+
+    const properties = {
+      [names.status]: status,
+      [names.subStatus]: validationResult.subStatus || '',
+      [names.recheckNeeded]: String(!!validationResult.recheckNeeded),
+      [names.corrected]: String(wasCorrected),
+      [names.originalEmail]: originalEmail
+    };
+
+    const checkDate = this.toHubSpotDate(validationResult.date_last_um_check_epoch || validationResult.date_last_um_check);
+    if (checkDate !== null) {
+      properties[names.checkDate] = String(checkDate);
+    }
+
+    if (wasCorrected && this.updatePrimaryEmail) {
+      properties.email = currentEmail;
+    }
+    
+    // Other usable addresses found in a multi-address field, semicolon-separated
+    if (Array.isArray(validationResult.additionalEmails) && validationResult.additionalEmails.length > 0) {
+      const alternates = validationResult.additionalEmails
+        .filter(entry => entry.status !== 'invalid' && entry.email)
+        .map(entry => entry.email);
+      if (alternates.length > 0) {
+        properties[names.additionalEmails] = alternates.join(';');
+      }
+    }
+
+    return properties;
+  }
+
+  // PATCH the contact through the CRM v3 contacts API
+  async updateContact(contactId, validationResult) {
+    if (!contactId) {
+      console.log('HUBSPOT_UPDATE: No contact ID provided, skipping update');
+      return { success: false, contactId, reason: 'missing_contact_id' };
+    }
+
+    if (!this.apiKey) {
+      console.log('HUBSPOT_UPDATE: HubSpot API key not configured, skipping update', { contactId });
+      return { success: false, contactId, reason: 'not_configured' };
+    }
+
+    const properties = this.buildContactProperties(validationResult);
+    const url = `${this.baseUrl}/crm/v3/objects/contacts/${encodeURIComponent(contactId)}`;
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeoutMs);
+
+    try {
+      console.log('HUBSPOT_UPDATE: Sending contact update to HubSpot', {
+        contactId,
+        properties: Object.keys(properties)
+      });
+
+      const response = await fetch(url, {
+        method: 'PATCH',
+        headers: {
+          'Authorization': `Bearer ${this.apiKey}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ properties }),
+        signal: controller.signal
+      });
+
+      const responseText = await response.text();
+      clearTimeout(timeoutId);
+
+      let body = null;
+      try {
+        body = responseText ? JSON.parse(responseText) : null;
+      } catch (parseError) {
+        body = { message: responseText };
+      }
+
+      if (!response.ok) {
+        const failure = {
+          success: false,
+          contactId,
+          statusCode: response.status,
+          reason: this.classifyFailure(response.status),
+          error: body?.message || `HubSpot API error: ${response.status} ${response.statusText}`,
+          category: body?.category || null,
+          properties
+        };
+
+        if (response.status === 429) {
+          const retryAfter = parseInt(response.headers.get('retry-after') || '', 10);
+          failure.retryAfterMs = Number.isNaN(retryAfter) ? null : retryAfter * 1000;
+        }
+
+        console.error('HUBSPOT_UPDATE_ERROR: HubSpot rejected contact update', {
+          contactId,
+          statusCode: failure.statusCode,
+          reason: failure.reason,
+          error: failure.error
+        });
+
+        return failure;
+      }
+
+      console.log('HUBSPOT_UPDATE: Contact updated successfully', {
+        contactId,
+        statusCode: response.status,
+        updatedAt: body?.updatedAt || null
+      });
+
+      return {
+        success: true,
+        contactId,
+        statusCode: response.status,
+        properties,
+        updatedAt: body?.updatedAt || null
+      };
+    } catch (error) {
+      clearTimeout(timeoutId);
+      const isTimeout = error.name === 'AbortError';
+
+      console.error('HUBSPOT_UPDATE_ERROR: Exception during contact update', {
+        contactId,
+        error: isTimeout ? 'HubSpot update timeout' : error.message,
+        isTimeout
+      });
+
+      return {
+        success: false,
+        contactId,
+        reason: isTimeout ? 'timeout' : 'network_error',
+        error: isTimeout ? 'HubSpot update timeout' : error.message,
+        isTimeout,
+        properties
+      };
+    }
+  }
+
+  classifyFailure(statusCode) {
+    if (statusCode === 401 || statusCode === 403) return 'unauthorized';
+    if (statusCode === 404) return 'contact_not_found';
+    if (statusCode === 409) return 'conflict';
+    if (statusCode === 429) return 'rate_limited';
+    if (statusCode >= 500) return 'hubspot_unavailable';
+    return 'rejected';
+  }
+}
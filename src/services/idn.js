@@ -0,0 +1,81 @@
+// src/services/idn.js
+import { domainToASCII, domainToUnicode } from 'node:url';
+
+// Helpers for internationalized addresses (RFC 6531 local parts, IDNA domains)
+
+// Scripts we recognise when looking for homograph attacks
+const SCRIPT_PATTERNS = {
+  Latin: /\p{Script=Latin}/u,
+  Cyrillic: /\p{Script=Cyrillic}/u,
+  Greek: /\p{Script=Greek}/u,
+  Armenian: /\p{Script=Armenian}/u,
+  Georgian: /\p{Script=Georgian}/u,
+  Hebrew: /\p{Script=Hebrew}/u,
+  Arabic: /\p{Script=Arabic}/u,
+  Devanagari: /\p{Script=Devanagari}/u,
+  Thai: /\p{Script=Thai}/u,
+  Hangul: /\p{Script=Hangul}/u,
+  Hiragana: /\p{Script=Hiragana}/u,
+  Katakana: /\p{Script=Katakana}/u,
+  Han: /\p{Script=Han}/u
+};
+
+// Script combinations that legitimately appear together in one label
+const ALLOWED_SCRIPT_SETS = [
+  new Set(['Han', 'Hiragana', 'Katakana']),
+  new Set(['Han', 'Hangul'])
+];
+
+// RFC 5322 atext plus any non-ASCII letter, mark or number (RFC 6531 UTF8-non-ascii)
+const LOCAL_PART_PATTERN = /^[\p{L}\p{M}\p{N}.!#$%&'*+/=?^_`{|}~-]+$/u;
+
+// Hostname syntax checked after conversion to ASCII
+const ASCII_DOMAIN_PATTERN = /^[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/;
+
+export function isValidLocalPart(localPart) {
+  return !!localPart && LOCAL_PART_PATTERN.test(localPart);
+}
+
+// Punycode form of a domain, or null if it is not a valid IDNA domain
+export function toAsciiDomain(domain) {
+  if (!domain) return null;
+  const ascii = domainToASCII(domain);
+  return ascii && ASCII_DOMAIN_PATTERN.test(ascii) ? ascii : null;
+}
+
+// Unicode form of a domain; ASCII-only domains come back unchanged
+export function toUnicodeDomain(domain) {
+  if (!domain) return null;
+  return domainToUnicode(domain) || domain;
+}
+
+// Returns the scripts used by the letters in a label
+function getLabelScripts(label) {
+  const scripts = new Set();
+  for (const char of label) {
+    if (!/\p{L}/u.test(char)) continue;
+    const script = Object.keys(SCRIPT_PATTERNS).find(name => SCRIPT_PATTERNS[name].test(char));
+    scripts.add(script || 'Other');
+  }
+  return scripts;
+}
+
+// True when a label mixes scripts, e.g. Cyrillic "а" inside an otherwise Latin "apple"
+export function isMixedScriptDomain(domain) {
+  const unicodeDomain = toUnicodeDomain(domain);
+  if (!unicodeDomain) return false;
+
+  return unicodeDomain.split('.').some(label => {
+    const scripts = getLabelScripts(label);
+    if (scripts.size <= 1) return false;
+    return !ALLOWED_SCRIPT_SETS.some(allowed => [...scripts].every(script => allowed.has(script)));
+  });
+}
+
+// Address with the domain in punycode, for DNS, SMTP and provider calls
+export function toAsciiEmail(email) {
+  const atIndex = email.lastIndexOf('@');
+  if (atIndex < 0) return email;
+  const ascii = toAsciiDomain(email.slice(atIndex + 1));
+  return ascii ? `${email.slice(0, atIndex)}@${ascii}` : email;
+}
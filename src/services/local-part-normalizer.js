@@ -0,0 +1,262 @@
+// src/services/local-part-normalizer.js
+import { getSupabaseClient } from './supabase-client.js';
+
+// Subaddressing and canonicalisation rules per mailbox provider. The Supabase
+// mailbox_provider_rules table can add providers or replace these, globally or per client.
+const DEFAULT_PROVIDER_RULES = [
+  {
+    provider: 'gmail',
+    domains: ['gmail.com', 'googlemail.com'],
+    canonicalDomain: 'gmail.com',
+    tagSeparators: ['+'],
+    ignoreDots: true,
+    subdomainAddressing: false
+  },
+  {
+    provider: 'outlook',
+    domains: [
+      'outlook.com', 'hotmail.com', 'live.com', 'msn.com', 'outlook.com.au', 'hotmail.com.au',
+      'live.com.au', 'hotmail.co.uk', 'live.co.uk', 'outlook.co.nz', 'hotmail.co.nz'
+    ],
+    canonicalDomain: null,
+    tagSeparators: ['+'],
+    ignoreDots: false,
+    subdomainAddressing: false
+  },
+  {
+    provider: 'yahoo',
+    domains: [
+      'yahoo.com', 'ymail.com', 'rocketmail.com', 'yahoo.com.au', 'yahoo.co.uk', 'yahoo.co.nz'
+    ],
+    canonicalDomain: null,
+    // Yahoo disposable addresses take the form basename-keyword@
+    tagSeparators: ['-'],
+    ignoreDots: false,
+    subdomainAddressing: false
+  },
+  {
+    provider: 'fastmail',
+    domains: ['fastmail.com', 'fastmail.fm'],
+    canonicalDomain: null,
+    tagSeparators: ['+'],
+    ignoreDots: false,
+    // anything@user.fastmail.com is delivered to user@fastmail.com
+    subdomainAddressing: true
+  },
+  {
+    provider: 'icloud',
+    domains: ['icloud.com', 'me.com', 'mac.com'],
+    canonicalDomain: null,
+    tagSeparators: ['+'],
+    ignoreDots: false,
+    subdomainAddressing: false
+  },
+  {
+    provider: 'proton',
+    domains: ['protonmail.com', 'proton.me', 'pm.me'],
+    canonicalDomain: null,
+    tagSeparators: ['+'],
+    ignoreDots: false,
+    subdomainAddressing: false
+  }
+];
+
+// Transforms a client can opt into for currentEmail; canonicalEmail always applies all of them
+export const NORMALIZATION_TRANSFORMS = ['subdomain_addressing', 'strip_tags', 'remove_dots', 'canonical_domain'];
+
+// Builds the canonical form of an address for deduplication and, separately, the
+// form with only the client's opted-in transforms applied.
+export class LocalPartNormalizationService {
+  constructor(config = {}) {
+    this.enabled = config.enabled !== false;
+    this.tableName = config.tableName || 'mailbox_provider_rules';
+    this.refreshIntervalMs = config.refreshIntervalMs || 10 * 60 * 1000; // 10 minutes
+
+    this.defaultRules = [...DEFAULT_PROVIDER_RULES, ...(config.extraRules || [])];
+    // Rows from Supabase: provider rules with client_id null apply to everyone
+    this.globalRules = [];
+    this.clientRules = new Map();
+    this.rulesLoadedAt = 0;
+    this.rulesLoading = null;
+
+    this.supabase = getSupabaseClient(config, 'LOCAL_PART_NORMALIZER');
+    this.supabaseEnabled = !!this.supabase;
+
+    console.log('LOCAL_PART_NORMALIZER_INIT: Provider normalization rules initialized', {
+      enabled: this.enabled,
+      defaultProviders: this.defaultRules.map(rule => rule.provider),
+      loadsFromSupabase: this.supabaseEnabled
+    });
+  }
+
+  // Load rule overrides, at most once per refresh interval. Failures keep the previous rules.
+  async loadRules() {
+    if (!this.supabaseEnabled || !this.supabase) {
+      return;
+    }
+
+    if (Date.now() - this.rulesLoadedAt < this.refreshIntervalMs) {
+      return;
+    }
+
+    if (!this.rulesLoading) {
+      this.rulesLoading = this.fetchRules().finally(() => {
+        this.rulesLoading = null;
+      });
+    }
+
+    await this.rulesLoading;
+  }
+
+  async fetchRules() {
+    try {
+      const { data, error } = await this.supabase
+        .from(this.tableName)
+        .select('provider, client_id, domains, canonical_domain, tag_separators, ignore_dots, subdomain_addressing');
+
+      if (error) {
+        console.error('LOCAL_PART_NORMALIZER_ERROR: Rule query failed', {
+          error: error.message,
+          code: error.code
+        });
+        return;
+      }
+
+      const globalRules = [];
+      const clientRules = new Map();
+      for (const row of data || []) {
+        if (!row.provider || !Array.isArray(row.domains)) continue;
+
+        const rule = {
+          provider: row.provider,
+          domains: row.domains.map(domain => domain.toLowerCase()),
+          canonicalDomain: row.canonical_domain || null,
+          tagSeparators: row.tag_separators || [],
+          ignoreDots: row.ignore_dots === true,
+          subdomainAddressing: row.subdomain_addressing === true
+        };
+
+        if (row.client_id) {
+          const rules = clientRules.get(row.client_id) || [];
+          rules.push(rule);
+          clientRules.set(row.client_id, rules);
+        } else {
+          globalRules.push(rule);
+        }
+      }
+
+      this.globalRules = globalRules;
+      this.clientRules = clientRules;
+      this.rulesLoadedAt = Date.now();
+
+      console.log('LOCAL_PART_NORMALIZER: Rule overrides loaded', {
+        globalRules: globalRules.length,
+        clients: clientRules.size
+      });
+    } catch (error) {
+      console.error('LOCAL_PART_NORMALIZER_ERROR: Exception loading rules', {
+        error: error.message
+      });
+    }
+  }
+
+  // Defaults, then global table rows, then the client's rows - later rules replace a provider
+  getRules(clientId = null) {
+    const byProvider = new Map();
+    const layers = [this.defaultRules, this.globalRules, (clientId && this.clientRules.get(clientId)) || []];
+    for (const rules of layers) {
+      for (const rule of rules) {
+        byProvider.set(rule.provider, rule);
+      }
+    }
+    return [...byProvider.values()];
+  }
+
+  // Find the rule for a domain; subdomains only match rules that support subdomain addressing
+  findRule(domain, clientId = null) {
+    const rules = this.getRules(clientId);
+
+    const exact = rules.find(rule => rule.domains.includes(domain));
+    if (exact) {
+      return { rule: exact, subdomain: null, baseDomain: domain };
+    }
+
+    const dotIndex = domain.indexOf('.');
+    const parent = dotIndex > 0 ? domain.slice(dotIndex + 1) : null;
+    const parentRule = parent && rules.find(rule => rule.subdomainAddressing && rule.domains.includes(parent));
+    if (parentRule) {
+      return { rule: parentRule, subdomain: domain.slice(0, dotIndex), baseDomain: parent };
+    }
+
+    return null;
+  }
+
+  applyTransforms(localPart, match, transforms) {
+    const { rule, subdomain, baseDomain } = match;
+    let local = localPart;
+    let domain = subdomain ? `${subdomain}.${baseDomain}` : baseDomain;
+    const applied = [];
+
+    if (transforms.includes('subdomain_addressing') && subdomain) {
+      local = subdomain;
+      domain = baseDomain;
+      applied.push('subdomain_addressing');
+    }
+
+    if (transforms.includes('strip_tags')) {
+      for (const separator of rule.tagSeparators) {
+        const index = local.indexOf(separator);
+        // A leading separator is part of the name, not a tag
+        if (index > 0) {
+          local = local.slice(0, index);
+          applied.push('strip_tags');
+          break;
+        }
+      }
+    }
+
+    if (transforms.includes('remove_dots') && rule.ignoreDots && local.includes('.')) {
+      local = local.replace(/\./g, '');
+      applied.push('remove_dots');
+    }
+
+    if (transforms.includes('canonical_domain') && rule.canonicalDomain && domain !== rule.canonicalDomain) {
+      domain = rule.canonicalDomain;
+      applied.push('canonical_domain');
+    }
+
+    return { email: `${local}@${domain}`, applied };
+  }
+
+  // Returns { provider, canonicalEmail, normalizedEmail, applied }
+  async normalize(email, options = {}) {
+    const { clientId = null, transforms = [], providers = null } = options;
+    const atIndex = email.lastIndexOf('@');
+    const localPart = atIndex > 0 ? email.slice(0, atIndex) : null;
+    const domain = atIndex > 0 ? email.slice(atIndex + 1) : null;
+
+    if (!this.enabled || !localPart || !domain) {
+      return { provider: null, canonicalEmail: email, normalizedEmail: email, applied: [] };
+    }
+
+    await this.loadRules();
+
+    const match = this.findRule(domain, clientId);
+    if (!match) {
+      return { provider: null, canonicalEmail: email, normalizedEmail: email, applied: [] };
+    }
+
+    const canonical = this.applyTransforms(localPart, match, NORMALIZATION_TRANSFORMS);
+    const providerOptedIn = !providers || providers.includes(match.rule.provider);
+    const normalized = providerOptedIn
+      ? this.applyTransforms(localPart, match, transforms)
+      : { email, applied: [] };
+
+    return {
+      provider: match.rule.provider,
+      canonicalEmail: canonical.email,
+      normalizedEmail: normalized.email,
+      applied: normalized.applied
+    };
+  }
+}
@@ -0,0 +1,100 @@
+// src/services/public-suffix.js
+import { readFileSync } from 'node:fs';
+import { domainToASCII } from 'node:url';
+
+// Offline copy of the Public Suffix List (https://publicsuffix.org/list/). Only the ICANN
+// section is used: private suffixes such as github.io say nothing about who runs a mailbox.
+const PSL_PATH = new URL('../data/public_suffix_list.dat', import.meta.url);
+
+let rules = null;
+
+// Parse the list on first use into exact, wildcard and exception rule sets (punycode)
+function loadRules() {
+  if (rules) return rules;
+
+  const exact = new Set();
+  const wildcards = new Set();
+  const exceptions = new Set();
+
+  try {
+    const text = readFileSync(PSL_PATH, 'utf8');
+    for (const rawLine of text.split('\n')) {
+      const line = rawLine.trim();
+      if (line.includes('===END ICANN DOMAINS===')) break;
+      if (!line || line.startsWith('//')) continue;
+
+      const rule = line.split(/\s/)[0];
+      if (rule.startsWith('!')) {
+        exceptions.add(domainToASCII(rule.slice(1)) || rule.slice(1));
+      } else if (rule.startsWith('*.')) {
+        wildcards.add(domainToASCII(rule.slice(2)) || rule.slice(2));
+      } else {
+        exact.add(domainToASCII(rule) || rule);
+      }
+    }
+  } catch (error) {
+    // Without the list every domain falls back to the implicit "*" rule (last label only)
+    console.error('PUBLIC_SUFFIX_ERROR: Could not load the Public Suffix List', {
+      path: PSL_PATH.pathname,
+      error: error.message
+    });
+  }
+
+  rules = { exact, wildcards, exceptions };
+  console.log('PUBLIC_SUFFIX: Public Suffix List loaded', {
+    rules: exact.size,
+    wildcards: wildcards.size,
+    exceptions: exceptions.size
+  });
+  return rules;
+}
+
+// Public suffix of an ASCII domain per the PSL algorithm: the matching rule with the most
+// labels wins, exceptions beat wildcards, and an unlisted TLD is its own suffix
+function findPublicSuffix(labels) {
+  const { exact, wildcards, exceptions } = loadRules();
+
+  for (let i = 0; i < labels.length; i++) {
+    const suffix = labels.slice(i).join('.');
+    if (exceptions.has(suffix)) {
+      return { suffix: labels.slice(i + 1).join('.'), listed: true };
+    }
+    if (exact.has(suffix)) {
+      return { suffix, listed: true };
+    }
+    if (i + 1 < labels.length && wildcards.has(labels.slice(i + 1).join('.'))) {
+      return { suffix, listed: true };
+    }
+  }
+
+  return { suffix: labels[labels.length - 1], listed: false };
+}
+
+// Returns { publicSuffix, registrableDomain, subdomain, isPublicSuffix, listedSuffix } for a
+// Unicode or ASCII domain, e.g. mail.company.com.au ->
+// { publicSuffix: 'com.au', registrableDomain: 'company.com.au', subdomain: 'mail' }
+export function getDomainParts(domain) {
+  const ascii = domain ? domainToASCII(domain.toLowerCase().replace(/\.$/, '')) : '';
+  if (!ascii) {
+    return { publicSuffix: null, registrableDomain: null, subdomain: null, isPublicSuffix: false, listedSuffix: false };
+  }
+
+  const labels = ascii.split('.');
+  const { suffix, listed } = findPublicSuffix(labels);
+  const suffixLabels = suffix.split('.').length;
+
+  if (labels.length <= suffixLabels) {
+    return { publicSuffix: suffix, registrableDomain: null, subdomain: null, isPublicSuffix: true, listedSuffix: listed };
+  }
+
+  const registrableLabels = labels.slice(-(suffixLabels + 1));
+  const subdomainLabels = labels.slice(0, labels.length - suffixLabels - 1);
+
+  return {
+    publicSuffix: suffix,
+    registrableDomain: registrableLabels.join('.'),
+    subdomain: subdomainLabels.length > 0 ? subdomainLabels.join('.') : null,
+    isPublicSuffix: false,
+    listedSuffix: listed
+  };
+}
@@ -0,0 +1,323 @@
+// src/services/reference-data.js
+import { getSupabaseClient } from './supabase-client.js';
+
+// Domain and TLD tables that quickValidate consults on every request. They are small and
+// change rarely, so they are held in memory and lookups are served synchronously.
+const REFERENCE_TABLES = {
+  invalidDomains: { table: 'invalid_domains', columns: 'domain' },
+  commonValidDomains: { table: 'common_valid_domains', columns: '*' },
+  domainTypos: { table: 'domain_typos', columns: 'typo_domain, correct_domain' },
+  validTlds: { table: 'valid_tlds', columns: 'tld' }
+};
+
+// Valid TLDs and multi-label suffixes ("com", "com.au") stored as a trie of reversed
+// labels, so the longest matching suffix of a domain is found label by label
+export class TldTrie {
+  constructor() {
+    this.root = new Map();
+    this.size = 0;
+  }
+
+  add(tld) {
+    const labels = tld.toLowerCase().replace(/^\./, '').split('.').filter(Boolean).reverse();
+    if (labels.length === 0) return;
+
+    let node = this.root;
+    for (const label of labels) {
+      if (!node.has(label)) node.set(label, new Map());
+      node = node.get(label);
+    }
+    if (!node.has('')) {
+      node.set('', true);
+      this.size++;
+    }
+  }
+
+  // Longest suffix of the domain that is a stored TLD, or null
+  longestSuffix(domain) {
+    const labels = domain.toLowerCase().split('.').reverse();
+    let node = this.root;
+    let matched = 0;
+    for (let i = 0; i < labels.length; i++) {
+      node = node.get(labels[i]);
+      if (!node) break;
+      if (node.has('')) matched = i + 1;
+    }
+    return matched > 0 ? labels.slice(0, matched).reverse().join('.') : null;
+  }
+
+  // Every stored multi-label TLD with its dots removed, mapped to the dotted form
+  // ("comau" -> "com.au"). Single-label TLDs have no dotless form to repair.
+  dotlessForms() {
+    const forms = new Map();
+    const walk = (node, labels) => {
+      for (const [label, child] of node) {
+        if (label === '') {
+          if (labels.length > 1) {
+            const tld = [...labels].reverse().join('.');
+            forms.set(tld.replace(/\./g, ''), tld);
+          }
+        } else {
+          walk(child, [...labels, label]);
+        }
+      }
+    };
+    walk(this.root, []);
+    return forms;
+  }
+}
+
+// In-memory snapshot of the reference tables, refreshed on a TTL or when the optional
+// version table changes. A failed refresh keeps serving the last good snapshot.
+export class ReferenceDataCache {
+  constructor(config = {}) {
+    this.refreshIntervalMs = config.refreshIntervalMs || 5 * 60 * 1000; // 5 minutes
+    this.retryIntervalMs = config.retryIntervalMs || 30 * 1000;
+    this.pageSize = config.pageSize || 1000;
+    // Optional change signal: a table whose "version" column is bumped when reference data changes
+    this.versionTable = config.versionTable || null;
+    this.versionCheckIntervalMs = config.versionCheckIntervalMs || 30 * 1000;
+
+    // null until a table has loaded at least once
+    this.snapshot = {
+      invalidDomains: null,
+      commonValidDomains: null,
+      domainTypos: null,
+      validTlds: null
+    };
+    this.version = 0;
+    this.sourceVersion = null;
+    this.loadedAt = 0;
+    this.nextRefreshAt = 0;
+    this.lastVersionCheckAt = 0;
+    this.loading = null;
+    this.tldDotlessForms = new Map();
+
+    this.supabase = config.enabled !== false ? getSupabaseClient(config, 'REFERENCE_DATA') : null;
+    this.enabled = !!this.supabase;
+
+    console.log('REFERENCE_DATA_INIT: Reference data cache initialized', {
+      enabled: this.enabled,
+      tables: Object.values(REFERENCE_TABLES).map(spec => spec.table),
+      refreshIntervalMs: this.refreshIntervalMs,
+      versionTable: this.versionTable
+    });
+  }
+
+  // True once the table has loaded; lookups on a table that never loaded fall back to the caller
+  hasTable(name) {
+    return this.snapshot[name] !== null;
+  }
+
+  // Force a reload on the next lookup
+  invalidate() {
+    this.nextRefreshAt = 0;
+  }
+
+  // Reload when the TTL has passed or the version table reports a change. Concurrent
+  // callers share one load.
+  async ensureFresh() {
+    if (!this.enabled || !this.supabase) {
+      return;
+    }
+
+    if (Date.now() >= this.nextRefreshAt || await this.hasSourceChanged()) {
+      if (!this.loading) {
+        this.loading = this.refresh().finally(() => {
+          this.loading = null;
+        });
+      }
+    }
+
+    // Only the very first load blocks; later refreshes run while the old snapshot is served
+    if (this.loading && this.version === 0) {
+      await this.loading;
+    }
+  }
+
+  async hasSourceChanged() {
+    if (!this.versionTable || Date.now() - this.lastVersionCheckAt < this.versionCheckIntervalMs) {
+      return false;
+    }
+    this.lastVersionCheckAt = Date.now();
+
+    const version = await this.fetchSourceVersion();
+    const changed = version !== null && version !== this.sourceVersion;
+    if (changed) {
+      console.log('REFERENCE_DATA: Change signal received, reloading', {
+        previousVersion: this.sourceVersion,
+        version
+      });
+    }
+    return changed;
+  }
+
+  // Current value of the version table, or null when it is not configured or unreadable
+  async fetchSourceVersion() {
+    if (!this.versionTable) {
+      return null;
+    }
+
+    try {
+      const { data, error } = await this.supabase
+        .from(this.versionTable)
+        .select('version')
+        .order('version', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+      return !error && data ? String(data.version) : null;
+    } catch (error) {
+      console.error('REFERENCE_DATA_ERROR: Exception checking version table', {
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  // Read a whole table, a page at a time (PostgREST caps each response)
+  async fetchTable(spec) {
+    const rows = [];
+    for (let from = 0; ; from += this.pageSize) {
+      const { data, error } = await this.supabase
+        .from(spec.table)
+        .select(spec.columns)
+        .range(from, from + this.pageSize - 1);
+
+      if (error) {
+        throw new Error(`${spec.table}: ${error.message}`);
+      }
+
+      rows.push(...(data || []));
+      if (!data || data.length < this.pageSize) {
+        return rows;
+      }
+    }
+  }
+
+  async refresh() {
+    const startedAt = Date.now();
+    const sourceVersion = await this.fetchSourceVersion();
+    const names = Object.keys(REFERENCE_TABLES);
+    const results = await Promise.allSettled(names.map(name => this.fetchTable(REFERENCE_TABLES[name])));
+
+    const snapshot = { ...this.snapshot };
+    const failed = [];
+
+    results.forEach((result, index) => {
+      const name = names[index];
+      if (result.status === 'rejected') {
+        failed.push({ name, table: REFERENCE_TABLES[name].table, error: result.reason.message });
+        return;
+      }
+      snapshot[name] = this.buildStructure(name, result.value);
+    });
+
+    this.snapshot = snapshot;
+    if (snapshot.validTlds) {
+      this.tldDotlessForms = snapshot.validTlds.dotlessForms();
+    }
+
+    // Retry sooner when any table failed; its previous data stays in place meanwhile
+    const loadedAny = failed.length < names.length;
+    if (loadedAny) {
+      this.version++;
+      this.loadedAt = Date.now();
+      this.sourceVersion = sourceVersion;
+    }
+    this.nextRefreshAt = Date.now() + (failed.length > 0 ? this.retryIntervalMs : this.refreshIntervalMs);
+
+    if (failed.length > 0) {
+      console.error('REFERENCE_DATA_ERROR: Some tables failed to load, serving last good data', {
+        failed: failed.map(({ table, error }) => ({ table, error })),
+        servingStale: failed.filter(({ name }) => snapshot[name] !== null).map(({ table }) => table)
+      });
+    }
+
+    console.log('REFERENCE_DATA: Snapshot refreshed', {
+      version: this.version,
+      invalidDomains: snapshot.invalidDomains?.size ?? null,
+      commonValidDomains: snapshot.commonValidDomains?.size ?? null,
+      domainTypos: snapshot.domainTypos?.size ?? null,
+      validTlds: snapshot.validTlds?.size ?? null,
+      durationMs: Date.now() - startedAt
+    });
+  }
+
+  buildStructure(name, rows) {
+    const clean = value => String(value).trim().toLowerCase();
+
+    switch (name) {
+      case 'invalidDomains':
+        return new Set(rows.filter(row => row.domain).map(row => clean(row.domain)));
+      case 'commonValidDomains':
+        // domain -> popularity (null when the table has no popularity column)
+        return new Map(rows.filter(row => row.domain).map(row => [
+          clean(row.domain),
+          Number(row.popularity) > 0 ? Number(row.popularity) : null
+        ]));
+      case 'domainTypos':
+        return new Map(rows
+          .filter(row => row.typo_domain && row.correct_domain)
+          .map(row => [clean(row.typo_domain), clean(row.correct_domain)]));
+      case 'validTlds': {
+        const trie = new TldTrie();
+        rows.filter(row => row.tld).forEach(row => trie.add(clean(row.tld)));
+        return trie;
+      }
+      default:
+        return null;
+    }
+  }
+
+  isInvalidDomain(domain) {
+    return !!domain && this.snapshot.invalidDomains?.has(domain.toLowerCase()) === true;
+  }
+
+  isCommonValidDomain(domain) {
+    return !!domain && this.snapshot.commonValidDomains?.has(domain.toLowerCase()) === true;
+  }
+
+  // Map of domain -> popularity, or null before the first load
+  getCommonValidDomains() {
+    return this.snapshot.commonValidDomains;
+  }
+
+  getTypoCorrection(domain) {
+    return (domain && this.snapshot.domainTypos?.get(domain.toLowerCase())) || null;
+  }
+
+  hasValidTld(domain) {
+    if (!domain || !this.snapshot.validTlds) return false;
+    const suffix = this.snapshot.validTlds.longestSuffix(domain);
+    return !!suffix && suffix !== domain.toLowerCase();
+  }
+
+  // Restore the dots of a multi-label TLD typed without them: "companycomau" ->
+  // "company.com.au", "company.comau" -> "company.com.au". Domains already ending in a
+  // valid TLD are left alone.
+  getTldCorrection(domain) {
+    if (!domain || !this.snapshot.validTlds) return null;
+
+    const normalized = domain.toLowerCase();
+    if (this.hasValidTld(normalized)) return null;
+
+    const labels = normalized.split('.');
+    const lastLabel = labels.pop();
+
+    // Longest dotless multi-label TLD first ("comau" -> "com.au"). Single-label TLDs are
+    // not candidates, so "startup.global" is never split into "glob.al"
+    for (let length = lastLabel.length; length > 0; length--) {
+      const tld = this.tldDotlessForms.get(lastLabel.slice(-length));
+      if (!tld) continue;
+
+      const head = lastLabel.slice(0, lastLabel.length - length);
+      const base = [...labels, head].filter(Boolean);
+      if (base.length === 0) continue;
+
+      return `${base.join('.')}.${tld}`;
+    }
+
+    return null;
+  }
+}
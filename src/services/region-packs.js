@@ -0,0 +1,146 @@
+// src/services/region-packs.js
+import { getDomainParts } from './public-suffix.js';
+
+// Region packs: TLD mistakes that are only safe to correct for clients whose contacts are
+// mostly in one country ("com.ua" is a real Ukrainian suffix, but an AU client almost
+// certainly meant "com.au"), plus the home-region domains used to bias typo suggestions.
+export const REGION_PACKS = {
+  au: {
+    region: 'au',
+    suffixes: ['com.au', 'net.au', 'org.au', 'edu.au', 'gov.au', 'asn.au', 'id.au'],
+    corrections: {
+      'comau': 'com.au',
+      'com.ua': 'com.au',
+      'com.u': 'com.au',
+      'cm.au': 'com.au',
+      'co.au': 'com.au',
+      'con.au': 'com.au',
+      'netau': 'net.au',
+      'net.ua': 'net.au',
+      'orgau': 'org.au',
+      'org.ua': 'org.au',
+      'eduau': 'edu.au',
+      'edu.ua': 'edu.au',
+      'govau': 'gov.au'
+    },
+    popularDomains: {
+      'bigpond.com': 0.6,
+      'bigpond.net.au': 0.4,
+      'optusnet.com.au': 0.5,
+      'iinet.net.au': 0.3,
+      'tpg.com.au': 0.3,
+      'internode.on.net': 0.2,
+      'westnet.com.au': 0.2,
+      'ozemail.com.au': 0.15,
+      'dodo.com.au': 0.1,
+      'outlook.com.au': 0.3,
+      'hotmail.com.au': 0.25,
+      'yahoo.com.au': 0.3
+    }
+  },
+  nz: {
+    region: 'nz',
+    suffixes: ['co.nz', 'net.nz', 'org.nz', 'govt.nz', 'ac.nz', 'school.nz', 'geek.nz'],
+    corrections: {
+      'conz': 'co.nz',
+      'co.zn': 'co.nz',
+      'com.nz': 'co.nz',
+      'cp.nz': 'co.nz',
+      'netnz': 'net.nz',
+      'orgnz': 'org.nz',
+      'gov.nz': 'govt.nz'
+    },
+    popularDomains: {
+      'xtra.co.nz': 0.6,
+      'slingshot.co.nz': 0.2,
+      'orcon.net.nz': 0.2,
+      'vodafone.co.nz': 0.2,
+      'clear.net.nz': 0.1,
+      'paradise.net.nz': 0.1,
+      'outlook.co.nz': 0.2,
+      'hotmail.co.nz': 0.2,
+      'yahoo.co.nz': 0.2
+    }
+  },
+  uk: {
+    region: 'uk',
+    suffixes: ['co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'me.uk', 'ltd.uk', 'plc.uk', 'nhs.uk'],
+    corrections: {
+      'couk': 'co.uk',
+      'com.uk': 'co.uk',
+      'cp.uk': 'co.uk',
+      'co.ku': 'co.uk',
+      'orguk': 'org.uk',
+      'org.ku': 'org.uk',
+      'acuk': 'ac.uk',
+      'gov.ku': 'gov.uk'
+    },
+    popularDomains: {
+      'btinternet.com': 0.5,
+      'sky.com': 0.4,
+      'virginmedia.com': 0.3,
+      'talktalk.net': 0.3,
+      'ntlworld.com': 0.2,
+      'blueyonder.co.uk': 0.15,
+      'yahoo.co.uk': 0.4,
+      'hotmail.co.uk': 0.4,
+      'live.co.uk': 0.2
+    }
+  }
+};
+
+const REGION_ALIASES = {
+  gb: 'uk',
+  australia: 'au',
+  'new zealand': 'nz'
+};
+
+export function getRegionPack(region) {
+  if (!region) return null;
+  const key = String(region).trim().toLowerCase();
+  return REGION_PACKS[REGION_ALIASES[key] || key] || null;
+}
+
+// True when the domain ends in one of the pack's home suffixes or is one of its domains
+export function isHomeRegionDomain(domain, pack) {
+  if (!pack || !domain) return false;
+  return domain in pack.popularDomains || pack.suffixes.some(suffix => domain.endsWith(`.${suffix}`));
+}
+
+// Correct the domain's suffix with the pack's rules. Returns { domain, rule, type } or null.
+//   suffix_rule     - an explicit rule: "company.comau" / "companycomau" / "company.com.ua" -> "company.com.au"
+//   suffix_distance - the suffix isn't on the Public Suffix List but is one edit from a home suffix
+export function applyRegionPack(domain, pack, distance) {
+  if (!pack || !domain) return null;
+
+  const normalized = domain.toLowerCase();
+  const lastLabel = normalized.slice(normalized.lastIndexOf('.') + 1);
+  const rules = Object.entries(pack.corrections).sort((a, b) => b[0].length - a[0].length);
+
+  for (const [wrong, right] of rules) {
+    if (normalized.endsWith(`.${wrong}`)) {
+      return { domain: `${normalized.slice(0, -wrong.length)}${right}`, rule: `${wrong} -> ${right}`, type: 'suffix_rule' };
+    }
+    // Dots left out entirely: "companycomau"
+    if (!wrong.includes('.') && lastLabel.endsWith(wrong) && lastLabel.length > wrong.length) {
+      return { domain: `${normalized.slice(0, -wrong.length)}.${right}`, rule: `${wrong} -> ${right}`, type: 'suffix_rule' };
+    }
+  }
+
+  // "company.com.aj": an unlisted suffix one edit away from a home suffix
+  if (distance && !getDomainParts(normalized).listedSuffix) {
+    const labels = normalized.split('.');
+    for (const suffix of pack.suffixes) {
+      const suffixLabels = suffix.split('.').length;
+      if (labels.length <= suffixLabels) continue;
+
+      const tail = labels.slice(-suffixLabels).join('.');
+      if (distance(tail, suffix) <= 1) {
+        const head = labels.slice(0, -suffixLabels).join('.');
+        return { domain: `${head}.${suffix}`, rule: `${tail} -> ${suffix}`, type: 'suffix_distance' };
+      }
+    }
+  }
+
+  return null;
+}
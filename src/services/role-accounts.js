@@ -0,0 +1,89 @@
+// src/services/role-accounts.js
+
+// Local parts that belong to a function or team rather than a person, by category.
+// Entries are written without separators; matching ignores ".", "-" and "_".
+const ROLE_ACCOUNT_DICTIONARY = {
+  'no-reply': [
+    'noreply', 'donotreply', 'dontreply', 'noresponse', 'donotrespond', 'norespond',
+    'noemail', 'nomail', 'unsubscribe', 'bounce', 'bounces', 'notifications', 'notification',
+    'notify', 'alerts', 'alert', 'mailerdaemon', 'automailer', 'autoreply', 'autoresponder'
+  ],
+  system: [
+    'postmaster', 'hostmaster', 'webmaster', 'abuse', 'root', 'daemon', 'mailer', 'nobody',
+    'security', 'noc', 'dns', 'ftp', 'www', 'uucp', 'usenet', 'news', 'devnull', 'system',
+    'sysadmin', 'it', 'ithelp', 'helpdesk'
+  ],
+  admin: [
+    'admin', 'administrator', 'office', 'accounts', 'accounting', 'billing', 'finance',
+    'invoices', 'invoice', 'payments', 'payroll', 'hr', 'humanresources', 'legal', 'compliance',
+    'privacy', 'careers', 'jobs', 'recruitment', 'recruiting', 'reception', 'management',
+    'manager', 'operations', 'ops', 'purchasing', 'procurement', 'team', 'staff', 'all',
+    'everyone', 'hello', 'hi', 'mail', 'email', 'enquiries', 'enquiry', 'inquiries', 'inquiry',
+    'info', 'information', 'contact', 'contactus', 'general', 'media', 'press', 'pr'
+  ],
+  sales: [
+    'sales', 'sale', 'salesteam', 'marketing', 'newbusiness', 'business', 'bizdev', 'partners',
+    'partnerships', 'quotes', 'quote', 'shop', 'store', 'orders', 'wholesale', 'trade',
+    'bookings', 'booking', 'reservations', 'events'
+  ],
+  support: [
+    'support', 'help', 'customerservice', 'customerservices', 'customersupport', 'customercare',
+    'care', 'service', 'services', 'feedback', 'complaints', 'techsupport', 'servicedesk',
+    'customers', 'returns', 'warranty', 'faq'
+  ]
+};
+
+// Classifies the local part of an address as a role account (info@, sales@, noreply@ ...)
+export class RoleAccountService {
+  constructor(config = {}) {
+    this.enabled = config.enabled !== false;
+
+    // normalized local part -> category
+    this.dictionary = new Map();
+    const entries = { ...ROLE_ACCOUNT_DICTIONARY };
+    for (const [category, localParts] of Object.entries(config.extraEntries || {})) {
+      entries[category] = [...(entries[category] || []), ...localParts];
+    }
+    for (const [category, localParts] of Object.entries(entries)) {
+      for (const localPart of localParts) {
+        const key = this.normalizeLocalPart(localPart);
+        if (key && !this.dictionary.has(key)) {
+          this.dictionary.set(key, category);
+        }
+      }
+    }
+
+    console.log('ROLE_ACCOUNTS_INIT: Role account dictionary loaded', {
+      enabled: this.enabled,
+      entries: this.dictionary.size
+    });
+  }
+
+  // "No.Reply+news" -> "noreply"
+  normalizeLocalPart(localPart) {
+    return String(localPart || '')
+      .toLowerCase()
+      .split('+')[0]
+      .replace(/[._-]/g, '');
+  }
+
+  // Returns { isRoleAccount, roleCategory, matched }
+  classify(localPart) {
+    if (!this.enabled || !localPart) {
+      return { isRoleAccount: false, roleCategory: null, matched: null };
+    }
+
+    const normalized = this.normalizeLocalPart(localPart);
+    // Numbered variants such as support2@ or info01@ belong to the same role
+    const candidates = [normalized, normalized.replace(/\d+$/, '')];
+
+    for (const candidate of candidates) {
+      const category = this.dictionary.get(candidate);
+      if (category) {
+        return { isRoleAccount: true, roleCategory: category, matched: candidate };
+      }
+    }
+
+    return { isRoleAccount: false, roleCategory: null, matched: null };
+  }
+}
@@ -0,0 +1,338 @@
+// src/services/smtp-prober.js
+import net from 'node:net';
+import crypto from 'node:crypto';
+
+// Reply text that means the server refused us (sender reputation, policy), not the mailbox
+const POLICY_REJECTION_PATTERN = /\b(block(ed|list)?|blacklist(ed)?|spam|polic(y|ies)|reputation|rbl|spamhaus|relay(ing)? (denied|not permitted)|access denied|not authori[sz]ed|rejected for policy)\b/i;
+
+// Probes a mailbox by talking SMTP to the domain's MX: EHLO, MAIL FROM, RCPT TO,
+// then QUIT without ever sending DATA. Opt-in, since many networks block port 25
+// and some receivers treat probing as abuse.
+export class SmtpProbeService {
+  constructor(config = {}) {
+    this.enabled = config.enabled === true;
+    this.port = config.port || 25;
+    this.heloHost = config.heloHost || 'localhost';
+    this.mailFrom = config.mailFrom || `verify@${this.heloHost}`;
+    this.connectTimeoutMs = config.connectTimeoutMs || 3000;
+    this.commandTimeoutMs = config.commandTimeoutMs || 4000;
+    this.perDomainConcurrency = config.perDomainConcurrency || 2;
+    this.maxMxHosts = config.maxMxHosts || 2;
+    this.detectCatchAll = config.detectCatchAll !== false;
+
+    // domain -> { active, waiters[] }
+    this.domainSlots = new Map();
+
+    console.log('SMTP_PROBE_INIT: SMTP probe service initialized', {
+      enabled: this.enabled,
+      port: this.port,
+      heloHost: this.heloHost,
+      connectTimeoutMs: this.connectTimeoutMs,
+      commandTimeoutMs: this.commandTimeoutMs,
+      perDomainConcurrency: this.perDomainConcurrency
+    });
+  }
+
+  // Wait for a free probe slot for this domain
+  async acquireSlot(domain) {
+    let slot = this.domainSlots.get(domain);
+    if (!slot) {
+      slot = { active: 0, waiters: [] };
+      this.domainSlots.set(domain, slot);
+    }
+
+    if (slot.active < this.perDomainConcurrency) {
+      slot.active++;
+      return;
+    }
+
+    await new Promise(resolve => slot.waiters.push(resolve));
+  }
+
+  releaseSlot(domain) {
+    const slot = this.domainSlots.get(domain);
+    if (!slot) return;
+
+    const next = slot.waiters.shift();
+    if (next) {
+      // Hand the slot straight to the next waiter
+      next();
+      return;
+    }
+
+    slot.active--;
+    if (slot.active === 0) {
+      this.domainSlots.delete(domain);
+    }
+  }
+
+  // Map an RCPT TO reply onto the status/subStatus vocabulary used by validation results.
+  // A 55x reply only proves the mailbox is missing when its enhanced status code (RFC 3463)
+  // or text says so; 5.7.x and policy wording mean the server refused us.
+  classifyRcptResponse(code, message = '') {
+    if (code === 250 || code === 251) {
+      return { status: 'valid', subStatus: null, recheckNeeded: false };
+    }
+    if (code === 550 || code === 551 || code === 553) {
+      const enhanced = /^\s*5\.(\d{1,3})\.(\d{1,3})\b/.exec(message || '');
+      if (enhanced) {
+        const [, subject, detail] = enhanced;
+        if (subject === '1') {
+          return { status: 'invalid', subStatus: 'mailbox_not_found', recheckNeeded: false };
+        }
+        if (subject === '2' && detail === '2') {
+          return { status: 'invalid', subStatus: 'mailbox_quota_exceeded', recheckNeeded: false };
+        }
+        return { status: 'unknown', subStatus: 'smtp_rejected', recheckNeeded: true };
+      }
+      if (POLICY_REJECTION_PATTERN.test(message || '')) {
+        return { status: 'unknown', subStatus: 'smtp_rejected', recheckNeeded: true };
+      }
+      return { status: 'invalid', subStatus: 'mailbox_not_found', recheckNeeded: false };
+    }
+    if (code === 552) {
+      return { status: 'invalid', subStatus: 'mailbox_quota_exceeded', recheckNeeded: false };
+    }
+    if (code === 452) {
+      return { status: 'unknown', subStatus: 'mailbox_quota_exceeded', recheckNeeded: true };
+    }
+    if (code === 421 || code === 450 || code === 451) {
+      // Temporary failures on first contact are the signature of greylisting
+      return { status: 'unknown', subStatus: 'greylisted', recheckNeeded: true };
+    }
+    return { status: 'unknown', subStatus: 'smtp_rejected', recheckNeeded: true };
+  }
+
+  // Probe a mailbox. mxRecords is the DNS checker's list of { exchange, priority }.
+  async probe(email, mxRecords = []) {
+    const atIndex = email.lastIndexOf('@');
+    const domain = atIndex > 0 ? email.slice(atIndex + 1).toLowerCase() : null;
+
+    if (!this.enabled) {
+      return { status: 'check_skipped', source: 'smtp', recheckNeeded: true };
+    }
+
+    const hosts = [...mxRecords]
+      .sort((a, b) => a.priority - b.priority)
+      .map(record => record.exchange)
+      .filter(Boolean)
+      .slice(0, this.maxMxHosts);
+
+    if (!domain || hosts.length === 0) {
+      return { status: 'check_skipped', source: 'smtp', recheckNeeded: true, reason: 'no_mx_hosts' };
+    }
+
+    await this.acquireSlot(domain);
+
+    try {
+      let lastFailure = null;
+
+      for (const host of hosts) {
+        const result = await this.probeHost(host, email, domain);
+
+        // Only move on to the next MX when we could not hold a conversation at all
+        if (result.status !== 'check_failed') {
+          return result;
+        }
+        lastFailure = result;
+      }
+
+      return lastFailure;
+    } finally {
+      this.releaseSlot(domain);
+    }
+  }
+
+  async probeHost(host, email, domain) {
+    console.log('SMTP_PROBE: Probing mailbox', { email, host, port: this.port });
+
+    let session;
+    try {
+      session = await this.openSession(host);
+    } catch (error) {
+      console.error('SMTP_PROBE_ERROR: Connection failed', { host, error: error.message });
+      return {
+        status: 'check_failed',
+        subStatus: error.isTimeout ? 'timeout_exceeded' : 'failed_smtp_connection',
+        recheckNeeded: true,
+        source: 'smtp',
+        mxHost: host,
+        error: error.message
+      };
+    }
+
+    try {
+      const greeting = await session.read();
+      if (greeting.code !== 220) {
+        return this.sessionFailure(host, greeting, 'failed_smtp_connection');
+      }
+
+      let hello = await session.command(`EHLO ${this.heloHost}`);
+      if (hello.code >= 500) {
+        hello = await session.command(`HELO ${this.heloHost}`);
+      }
+      if (hello.code !== 250) {
+        return this.sessionFailure(host, hello, 'smtp_rejected');
+      }
+
+      const mailFrom = await session.command(`MAIL FROM:<${this.mailFrom}>`);
+      if (mailFrom.code !== 250) {
+        return this.sessionFailure(host, mailFrom, 'smtp_rejected');
+      }
+
+      const rcpt = await session.command(`RCPT TO:<${email}>`);
+      const classification = this.classifyRcptResponse(rcpt.code, rcpt.message);
+
+      const result = {
+        ...classification,
+        source: 'smtp',
+        mxHost: host,
+        smtpCode: rcpt.code,
+        smtpMessage: rcpt.message,
+        isCatchAll: false
+      };
+
+      // A server that also accepts a random mailbox accepts everything
+      if (classification.status === 'valid' && this.detectCatchAll) {
+        const randomLocal = `unmessy-${crypto.randomBytes(8).toString('hex')}`;
+        const probeRcpt = await session.command(`RCPT TO:<${randomLocal}@${domain}>`);
+
+        if (probeRcpt.code === 250 || probeRcpt.code === 251) {
+          result.status = 'unknown';
+          result.subStatus = 'catch_all';
+          result.recheckNeeded = false;
+          result.isCatchAll = true;
+        }
+      }
+
+      console.log('SMTP_PROBE: Probe completed', {
+        email,
+        host,
+        smtpCode: rcpt.code,
+        status: result.status,
+        subStatus: result.subStatus,
+        isCatchAll: result.isCatchAll
+      });
+
+      return result;
+    } catch (error) {
+      console.error('SMTP_PROBE_ERROR: Conversation failed', { host, error: error.message });
+      return {
+        status: 'check_failed',
+        subStatus: error.isTimeout ? 'timeout_exceeded' : 'failed_smtp_connection',
+        recheckNeeded: true,
+        source: 'smtp',
+        mxHost: host,
+        error: error.message
+      };
+    } finally {
+      session.close();
+    }
+  }
+
+  sessionFailure(host, reply, subStatus) {
+    return {
+      status: subStatus === 'failed_smtp_connection' ? 'check_failed' : 'unknown',
+      subStatus,
+      recheckNeeded: true,
+      source: 'smtp',
+      mxHost: host,
+      smtpCode: reply.code,
+      smtpMessage: reply.message
+    };
+  }
+
+  // Open a connection and return a small line-oriented reader/writer around it
+  openSession(host) {
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host, port: this.port });
+      let buffer = '';
+      let pending = null;
+      let closedError = null;
+
+      const connectTimer = setTimeout(() => {
+        const error = new Error(`SMTP connect timeout to ${host}`);
+        error.isTimeout = true;
+        socket.destroy();
+        reject(error);
+      }, this.connectTimeoutMs);
+
+      // Resolve the pending read once a complete (possibly multi-line) reply is buffered
+      const flush = () => {
+        if (!pending) return;
+        const lines = buffer.split('\r\n');
+        for (let i = 0; i < lines.length - 1; i++) {
+          // The final line of a reply has a space after the code: "250 OK" vs "250-..."
+          if (/^\d{3}( |$)/.test(lines[i])) {
+            const replyLines = lines.slice(0, i + 1);
+            buffer = lines.slice(i + 1).join('\r\n');
+            const { resolve: done, timer } = pending;
+            pending = null;
+            clearTimeout(timer);
+            done({
+              code: parseInt(replyLines[i].slice(0, 3), 10),
+              message: replyLines.map(line => line.slice(4)).join(' ').trim()
+            });
+            return;
+          }
+        }
+      };
+
+      const read = () => new Promise((resolveRead, rejectRead) => {
+        if (closedError) {
+          rejectRead(closedError);
+          return;
+        }
+        const timer = setTimeout(() => {
+          pending = null;
+          const error = new Error(`SMTP response timeout from ${host}`);
+          error.isTimeout = true;
+          rejectRead(error);
+        }, this.commandTimeoutMs);
+        pending = { resolve: resolveRead, reject: rejectRead, timer };
+        flush();
+      });
+
+      socket.setEncoding('utf8');
+      socket.on('data', chunk => {
+        buffer += chunk;
+        flush();
+      });
+      socket.on('error', error => {
+        closedError = error;
+        clearTimeout(connectTimer);
+        if (pending) {
+          clearTimeout(pending.timer);
+          pending.reject(error);
+          pending = null;
+        }
+        reject(error);
+      });
+      socket.on('close', () => {
+        closedError = closedError || new Error(`SMTP connection to ${host} closed`);
+        if (pending) {
+          clearTimeout(pending.timer);
+          pending.reject(closedError);
+          pending = null;
+        }
+      });
+      socket.on('connect', () => {
+        clearTimeout(connectTimer);
+        resolve({
+          read,
+          command: (line) => {
+            socket.write(`${line}\r\n`);
+            return read();
+          },
+          close: () => {
+            if (!socket.destroyed) {
+              socket.end('QUIT\r\n');
+              // Don't wait on slow servers to acknowledge QUIT
+              setTimeout(() => socket.destroy(), 1000).unref();
+            }
+          }
+        });
+      });
+    });
+  }
+}
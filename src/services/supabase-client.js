@@ -0,0 +1,50 @@
+// src/services/supabase-client.js
+import { createClient } from '@supabase/supabase-js';
+
+// One Supabase client per project and key for the whole process. The HubSpot webhook
+// builds a validator per event, so clients created per instance would pile up.
+const clients = new Map();
+
+// Returns the shared client for config.supabase ({ url, key }), or null when Supabase
+// is not configured or useSupabase is false. An explicit config.supabaseClient wins,
+// so the validator can hand its own client to the services it owns.
+export function getSupabaseClient(config = {}, logPrefix = 'SUPABASE_CLIENT') {
+  if (config.supabaseClient) {
+    return config.supabaseClient;
+  }
+
+  const { url, key } = config.supabase || {};
+  if (!url || !key || config.useSupabase === false) {
+    return null;
+  }
+
+  const cacheKey = `${url}\n${key}`;
+  if (!clients.has(cacheKey)) {
+    try {
+      clients.set(cacheKey, createClient(url, key, {
+        auth: {
+          persistSession: false,
+          autoRefreshToken: false
+        },
+        global: {
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          // Requests without their own abort signal give up after 15 seconds
+          fetch: (input, init = {}) => fetch(input, {
+            ...init,
+            signal: init.signal || AbortSignal.timeout(15000)
+          })
+        }
+      }));
+    } catch (error) {
+      console.error(`${logPrefix}_INIT_ERROR:`, {
+        message: error.message,
+        stack: error.stack
+      });
+      return null;
+    }
+  }
+
+  return clients.get(cacheKey);
+}
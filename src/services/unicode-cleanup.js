@@ -0,0 +1,100 @@
+// src/services/unicode-cleanup.js
+
+// Addresses pasted from PDFs, chat apps and word processors pick up characters that
+// look right on screen but break validation. Cleanup runs in three passes:
+//   1. invisible characters (zero-width spaces, joiners, BOM, bidi marks, soft hyphen) are removed
+//   2. non-ASCII spaces (NBSP, thin and ideographic spaces) become plain spaces
+//   3. look-alikes that NFKC leaves alone (smart quotes, dashes, ideographic full stop) are mapped,
+//      then NFKC folds the rest (full-width ＠ ． and letters, ligatures, small form variants)
+
+const INVISIBLE_PATTERN = /[\u00AD\u034F\u061C\u115F\u1160\u17B4\u17B5\u180E\u200B-\u200F\u202A-\u202E\u2060-\u2064\u2066-\u206F\u3164\uFE00-\uFE0F\uFEFF\uFFA0]/u;
+
+const SPACE_PATTERN = /[\u00A0\u1680\u2000-\u200A\u202F\u205F\u3000]/u;
+
+const CONFUSABLES = {
+  '\u2018': "'", // left single quotation mark
+  '\u2019': "'", // right single quotation mark
+  '\u201A': "'", // single low-9 quotation mark
+  '\u201B': "'", // single high-reversed-9 quotation mark
+  '\u2032': "'", // prime
+  '\u00B4': "'", // acute accent
+  '\u201C': '"', // left double quotation mark
+  '\u201D': '"', // right double quotation mark
+  '\u201E': '"', // double low-9 quotation mark
+  '\u201F': '"', // double high-reversed-9 quotation mark
+  '\u2033': '"', // double prime
+  '\u00AB': '"', // left-pointing double angle quotation mark
+  '\u00BB': '"', // right-pointing double angle quotation mark
+  '\u2010': '-', // hyphen
+  '\u2011': '-', // non-breaking hyphen
+  '\u2012': '-', // figure dash
+  '\u2013': '-', // en dash
+  '\u2014': '-', // em dash
+  '\u2015': '-', // horizontal bar
+  '\u2212': '-', // minus sign
+  '\u3002': '.', // ideographic full stop
+  '\uFE12': '.', // presentation form for ideographic full stop
+  '\u3001': ','  // ideographic comma
+};
+
+function describe(char) {
+  return `U+${char.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')}`;
+}
+
+// Returns { text, changed, changes } where each change is
+// { type: invisible | space | confusable | nfkc | composition, from, to, codePoint, count }
+export function cleanupUnicode(input) {
+  if (typeof input !== 'string' || input.length === 0) {
+    return { text: input, changed: false, changes: [] };
+  }
+
+  const changes = new Map();
+  const record = (type, from, to) => {
+    const key = `${type}:${from}:${to}`;
+    const existing = changes.get(key);
+    if (existing) {
+      existing.count++;
+    } else {
+      changes.set(key, { type, from, to, codePoint: describe(from), count: 1 });
+    }
+  };
+
+  let text = '';
+  for (const char of input) {
+    if (INVISIBLE_PATTERN.test(char)) {
+      record('invisible', char, '');
+    } else if (SPACE_PATTERN.test(char)) {
+      record('space', char, ' ');
+      text += ' ';
+    } else if (CONFUSABLES[char]) {
+      record('confusable', char, CONFUSABLES[char]);
+      text += CONFUSABLES[char];
+    } else {
+      // Compatibility forms: full-width ＠ and ．, ligatures, circled and small form variants
+      const folded = char.normalize('NFKC');
+      if (folded !== char) {
+        record('nfkc', char, folded);
+      }
+      text += folded;
+    }
+  }
+
+  // Compose any base + combining mark sequences the per-character pass left apart
+  const composed = text.normalize('NFKC');
+  if (composed !== text) {
+    changes.set('composition', {
+      type: 'composition',
+      from: null,
+      to: null,
+      codePoint: null,
+      count: [...text].length - [...composed].length
+    });
+    text = composed;
+  }
+
+  return {
+    text,
+    changed: text !== input,
+    changes: [...changes.values()]
+  };
+}
@@ -0,0 +1,139 @@
+// src/services/verification-providers/base-provider.js
+
+// Base class for paid mailbox verification APIs. Subclasses implement buildRequest()
+// and normalize(); this class handles timeouts, retries and the common result shape:
+//   { provider, status, subStatus, suggestion, raw, cost, recheckNeeded, providerStatus, isCatchAll }
+// status is one of valid | invalid | unknown | check_failed | check_skipped.
+export class VerificationProvider {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.apiKey = options.apiKey || '';
+    this.baseUrl = (options.baseUrl || this.defaultBaseUrl()).replace(/\/+$/, '');
+    this.enabled = options.enabled !== false;
+    this.timeoutMs = options.timeoutMs || 6000;
+    this.retryTimeoutMs = options.retryTimeoutMs || 8000;
+    this.maxRetries = options.maxRetries ?? 1;
+    // Credits charged for a billable check
+    this.costPerCheck = options.costPerCheck ?? 1;
+  }
+
+  defaultBaseUrl() {
+    return '';
+  }
+
+  isConfigured() {
+    return this.enabled && !!this.apiKey;
+  }
+
+  // Returns { url, init } for a single verification request
+  buildRequest(email) {
+    throw new Error(`${this.name} provider does not implement buildRequest`);
+  }
+
+  // Maps the provider's JSON response onto the common result shape
+  normalize(raw, email) {
+    throw new Error(`${this.name} provider does not implement normalize`);
+  }
+
+  redactUrl(url) {
+    return this.apiKey ? url.replace(this.apiKey, '[REDACTED]') : url;
+  }
+
+  // Timeouts, network failures and 5xx/429 responses are worth another attempt
+  isRetryable(error) {
+    return error.isTimeout || error.name === 'TypeError' || error.statusCode >= 500 || error.statusCode === 429;
+  }
+
+  async verify(email) {
+    if (!this.isConfigured()) {
+      console.log('VERIFICATION_PROVIDER: Provider not configured or disabled, skipping check', {
+        provider: this.name
+      });
+      return {
+        provider: this.name,
+        status: 'check_skipped',
+        recheckNeeded: true,
+        cost: 0,
+        source: 'configuration'
+      };
+    }
+
+    let retryCount = 0;
+
+    while (true) {
+      try {
+        const raw = await this.send(email, retryCount > 0 ? this.retryTimeoutMs : this.timeoutMs);
+        const result = this.normalize(raw, email);
+
+        console.log('VERIFICATION_PROVIDER: Check completed', {
+          provider: this.name,
+          email,
+          status: result.status,
+          subStatus: result.subStatus,
+          suggestion: result.suggestion,
+          retryCount
+        });
+
+        return { provider: this.name, raw, retryCount, ...result };
+      } catch (error) {
+        console.error('VERIFICATION_PROVIDER_ERROR:', {
+          provider: this.name,
+          message: error.message,
+          email,
+          retryAttempt: retryCount
+        });
+
+        if (this.isRetryable(error) && retryCount < this.maxRetries) {
+          // Wait briefly before retry (exponential backoff)
+          const backoffDelay = Math.min(1000 * Math.pow(2, retryCount), 3000);
+          await new Promise(resolve => setTimeout(resolve, backoffDelay));
+          retryCount++;
+          continue;
+        }
+
+        return {
+          provider: this.name,
+          status: 'check_failed',
+          recheckNeeded: true,
+          cost: 0,
+          error: error.message,
+          retryCount,
+          isTimeout: !!error.isTimeout
+        };
+      }
+    }
+  }
+
+  async send(email, timeoutMs) {
+    const { url, init = {} } = this.buildRequest(email);
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+      console.log('VERIFICATION_PROVIDER: Sending request', {
+        provider: this.name,
+        email,
+        url: this.redactUrl(url)
+      });
+
+      const response = await fetch(url, { ...init, signal: controller.signal });
+
+      if (!response.ok) {
+        const error = new Error(`${this.name} API error: ${response.status} ${response.statusText}`);
+        error.statusCode = response.status;
+        throw error;
+      }
+
+      return await response.json();
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        const timeoutError = new Error(`${this.name} check timeout`);
+        timeoutError.isTimeout = true;
+        throw timeoutError;
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+}
@@ -0,0 +1,21 @@
+// src/services/verification-providers/index.js
+import { ZeroBounceProvider } from './zerobounce-provider.js';
+import { NeverBounceProvider } from './neverbounce-provider.js';
+import { KickboxProvider } from './kickbox-provider.js';
+
+export { VerificationProvider } from './base-provider.js';
+export { ZeroBounceProvider, NeverBounceProvider, KickboxProvider };
+
+const PROVIDER_CLASSES = {
+  zerobounce: ZeroBounceProvider,
+  neverbounce: NeverBounceProvider,
+  kickbox: KickboxProvider
+};
+
+export const PROVIDER_NAMES = Object.keys(PROVIDER_CLASSES);
+
+// Create a provider adapter by name; returns null for unknown names
+export function createVerificationProvider(name, options = {}) {
+  const ProviderClass = PROVIDER_CLASSES[String(name || '').toLowerCase()];
+  return ProviderClass ? new ProviderClass(options) : null;
+}
@@ -0,0 +1,79 @@
+// src/services/verification-providers/kickbox-provider.js
+import { VerificationProvider } from './base-provider.js';
+
+export class KickboxProvider extends VerificationProvider {
+  constructor(options = {}) {
+    super('kickbox', options);
+  }
+
+  defaultBaseUrl() {
+    return 'https://api.kickbox.com';
+  }
+
+  buildRequest(email) {
+    const url = new URL(`${this.baseUrl}/v2/verify`);
+    url.searchParams.append('email', email);
+    url.searchParams.append('apikey', this.apiKey);
+    url.searchParams.append('timeout', String(this.timeoutMs));
+    return { url: url.toString() };
+  }
+
+  normalize(raw) {
+    if (raw.success === false) {
+      const error = new Error(`kickbox API error: ${raw.message || 'request failed'}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    let status;
+    let subStatus = null;
+    let recheckNeeded;
+
+    switch (raw.result) {
+      case 'deliverable':
+        status = 'valid';
+        recheckNeeded = false;
+        break;
+      case 'undeliverable':
+        status = 'invalid';
+        subStatus = raw.reason || null;
+        recheckNeeded = false;
+        break;
+      case 'risky':
+        if (raw.disposable) {
+          status = 'invalid';
+          subStatus = 'disposable';
+          recheckNeeded = false;
+        } else if (raw.accept_all) {
+          // The domain accepts every address - rechecking won't tell us more
+          status = 'unknown';
+          subStatus = 'catch_all';
+          recheckNeeded = false;
+        } else {
+          status = 'unknown';
+          subStatus = raw.reason || null;
+          recheckNeeded = true;
+        }
+        break;
+      case 'unknown':
+        status = 'unknown';
+        subStatus = raw.reason || null;
+        recheckNeeded = true;
+        break;
+      default:
+        status = 'check_failed';
+        recheckNeeded = true;
+    }
+
+    return {
+      status,
+      subStatus,
+      recheckNeeded,
+      suggestion: raw.did_you_mean || null,
+      providerStatus: raw.result || null,
+      isCatchAll: raw.result === 'risky' && !raw.disposable && raw.accept_all === true,
+      // Kickbox does not charge for unknown results
+      cost: raw.result === 'unknown' ? 0 : this.costPerCheck
+    };
+  }
+}
@@ -0,0 +1,73 @@
+// src/services/verification-providers/neverbounce-provider.js
+import { VerificationProvider } from './base-provider.js';
+
+export class NeverBounceProvider extends VerificationProvider {
+  constructor(options = {}) {
+    super('neverbounce', options);
+  }
+
+  defaultBaseUrl() {
+    return 'https://api.neverbounce.com';
+  }
+
+  buildRequest(email) {
+    const url = new URL(`${this.baseUrl}/v4/single/check`);
+    url.searchParams.append('key', this.apiKey);
+    url.searchParams.append('email', email);
+    url.searchParams.append('timeout', String(Math.max(Math.floor(this.timeoutMs / 1000) - 1, 1)));
+    return { url: url.toString() };
+  }
+
+  normalize(raw) {
+    // NeverBounce reports API failures in the body with a 200 response
+    if (raw.status !== 'success') {
+      const error = new Error(`neverbounce API error: ${raw.message || raw.status}`);
+      error.statusCode = raw.status === 'throttle_triggered' ? 429 : 400;
+      throw error;
+    }
+
+    let status;
+    let subStatus = null;
+    let recheckNeeded;
+
+    switch (raw.result) {
+      case 'valid':
+        status = 'valid';
+        recheckNeeded = false;
+        break;
+      case 'invalid':
+        status = 'invalid';
+        subStatus = 'mailbox_not_found';
+        recheckNeeded = false;
+        break;
+      case 'disposable':
+        status = 'invalid';
+        subStatus = 'disposable';
+        recheckNeeded = false;
+        break;
+      case 'catchall':
+        // The domain accepts every address - rechecking won't tell us more
+        status = 'unknown';
+        subStatus = 'catch_all';
+        recheckNeeded = false;
+        break;
+      case 'unknown':
+        status = 'unknown';
+        recheckNeeded = true;
+        break;
+      default:
+        status = 'check_failed';
+        recheckNeeded = true;
+    }
+
+    return {
+      status,
+      subStatus,
+      recheckNeeded,
+      suggestion: raw.suggested_correction || null,
+      providerStatus: raw.result || null,
+      isCatchAll: raw.result === 'catchall',
+      cost: this.costPerCheck
+    };
+  }
+}
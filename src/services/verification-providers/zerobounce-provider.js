@@ -0,0 +1,79 @@
+// src/services/verification-providers/zerobounce-provider.js
+import { VerificationProvider } from './base-provider.js';
+
+export class ZeroBounceProvider extends VerificationProvider {
+  constructor(options = {}) {
+    super('zerobounce', options);
+  }
+
+  defaultBaseUrl() {
+    return 'https://api.zerobounce.net';
+  }
+
+  buildRequest(email) {
+    const url = new URL(`${this.baseUrl}/v2/validate`);
+    url.searchParams.append('api_key', this.apiKey);
+    url.searchParams.append('email', email);
+    url.searchParams.append('ip_address', '');
+    return { url: url.toString() };
+  }
+
+  normalize(raw) {
+    let status;
+    let subStatus = null;
+    let recheckNeeded;
+
+    switch (raw.status) {
+      case 'valid':
+        status = 'valid';
+        recheckNeeded = false;
+        break;
+      case 'invalid':
+        status = 'invalid';
+        subStatus = raw.sub_status || null;
+        recheckNeeded = false;
+        break;
+      case 'catch-all':
+        // The domain accepts every address - rechecking won't tell us more
+        status = 'unknown';
+        subStatus = 'catch_all';
+        recheckNeeded = false;
+        break;
+      case 'unknown':
+        status = 'unknown';
+        recheckNeeded = true;
+        break;
+      case 'spamtrap':
+        status = 'invalid';
+        subStatus = 'spamtrap';
+        recheckNeeded = false;
+        break;
+      case 'abuse':
+        status = 'invalid';
+        subStatus = 'abuse';
+        recheckNeeded = false;
+        break;
+      case 'do_not_mail':
+        // ZeroBounce advises against mailing it (toxic, suppressed, role-based...) but does
+        // not say it bounces; its sub_status stays in raw
+        status = 'unknown';
+        subStatus = 'do_not_mail';
+        recheckNeeded = false;
+        break;
+      default:
+        status = 'check_failed';
+        recheckNeeded = true;
+    }
+
+    return {
+      status,
+      subStatus,
+      recheckNeeded,
+      suggestion: raw.did_you_mean || null,
+      providerStatus: raw.status || null,
+      isCatchAll: raw.status === 'catch-all',
+      // ZeroBounce does not charge credits for unknown results
+      cost: raw.status === 'unknown' ? 0 : this.costPerCheck
+    };
+  }
+}
@@ -0,0 +1,301 @@
+// src/services/webhook-idempotency.js
+import { getSupabaseClient } from './supabase-client.js';
+
+// Tracks which webhook events have already been processed and which email we last
+// wrote to each contact, so redeliveries and HubSpot's echo of our own write-back
+// are skipped. Entries are kept in memory for the warm instance and in Supabase so
+// they are shared across instances.
+export class WebhookIdempotencyService {
+  constructor(config) {
+    this.config = config;
+    this.windowMs = config.webhookDedupe?.windowMs || 24 * 60 * 60 * 1000; // 24 hours
+    this.eventsTable = config.webhookDedupe?.eventsTable || 'webhook_processed_events';
+    this.writebacksTable = config.webhookDedupe?.writebacksTable || 'hubspot_writebacks';
+
+    // eventId:attemptNumber -> { attemptNumber, processedAt }
+    this.processedEvents = new Map();
+    // contactId -> { umEmail, writtenAt }
+    this.writebacks = new Map();
+
+    this.supabase = getSupabaseClient(config, 'WEBHOOK_IDEMPOTENCY');
+    this.supabaseEnabled = !!this.supabase;
+
+    console.log('WEBHOOK_IDEMPOTENCY_INIT: Idempotency tracking initialized', {
+      windowMs: this.windowMs,
+      persistent: this.supabaseEnabled
+    });
+  }
+
+  normalizeEmail(email) {
+    return typeof email === 'string' ? email.trim().toLowerCase() : null;
+  }
+
+  // A delivery is one eventId at one attemptNumber
+  getDeliveryKey(event) {
+    return `${event.eventId}:${event.attemptNumber ?? ''}`;
+  }
+
+  isFresh(timestampMs) {
+    return Date.now() - timestampMs < this.windowMs;
+  }
+
+  // Drop expired in-memory entries so long-lived instances don't grow unbounded
+  pruneMemory() {
+    for (const [deliveryKey, entry] of this.processedEvents) {
+      if (!this.isFresh(entry.processedAt)) this.processedEvents.delete(deliveryKey);
+    }
+    for (const [contactId, entry] of this.writebacks) {
+      if (!this.isFresh(entry.writtenAt)) this.writebacks.delete(contactId);
+    }
+  }
+
+  // Returns { skip: true, reason, ... } when the event should not be processed
+  async checkEvent(event) {
+    const duplicate = await this.findProcessedEvent(event);
+    if (duplicate) {
+      const attemptNumber = event.attemptNumber ?? null;
+
+      console.log('WEBHOOK_IDEMPOTENCY: Skipping already processed delivery', {
+        eventId: event.eventId,
+        attemptNumber
+      });
+
+      return {
+        skip: true,
+        reason: 'duplicate_delivery',
+        eventId: event.eventId,
+        attemptNumber,
+        processedAt: new Date(duplicate.processedAt).toISOString()
+      };
+    }
+
+    const selfTriggered = await this.findSelfTriggeredWrite(event);
+    if (selfTriggered) {
+      console.log('WEBHOOK_IDEMPOTENCY: Skipping event triggered by our own write-back', {
+        eventId: event.eventId,
+        contactId: event.objectId,
+        umEmail: selfTriggered.umEmail
+      });
+
+      return {
+        skip: true,
+        reason: 'self_triggered_update',
+        eventId: event.eventId ?? null,
+        attemptNumber: event.attemptNumber ?? null,
+        writtenAt: new Date(selfTriggered.writtenAt).toISOString()
+      };
+    }
+
+    return { skip: false };
+  }
+
+  async findProcessedEvent(event) {
+    if (event?.eventId == null) {
+      return null;
+    }
+
+    this.pruneMemory();
+    const eventId = String(event.eventId);
+    const attemptNumber = event.attemptNumber ?? null;
+    const deliveryKey = this.getDeliveryKey(event);
+
+    const cached = this.processedEvents.get(deliveryKey);
+    if (cached) {
+      return cached;
+    }
+
+    if (!this.supabaseEnabled || !this.supabase) {
+      return null;
+    }
+
+    try {
+      const cutoff = new Date(Date.now() - this.windowMs).toISOString();
+      let query = this.supabase
+        .from(this.eventsTable)
+        .select('event_id, attempt_number, processed_at')
+        .eq('event_id', eventId);
+      query = attemptNumber === null
+        ? query.is('attempt_number', null)
+        : query.eq('attempt_number', attemptNumber);
+      const { data, error } = await query
+        .gte('processed_at', cutoff)
+        .order('processed_at', { ascending: false })
+        .limit(1);
+
+      if (error) {
+        console.error('WEBHOOK_IDEMPOTENCY_ERROR: Event lookup failed', {
+          eventId,
+          error: error.message
+        });
+        return null;
+      }
+
+      if (!data || data.length === 0) {
+        return null;
+      }
+
+      const entry = {
+        attemptNumber: data[0].attempt_number,
+        processedAt: new Date(data[0].processed_at).getTime()
+      };
+      this.processedEvents.set(deliveryKey, entry);
+      return entry;
+    } catch (error) {
+      console.error('WEBHOOK_IDEMPOTENCY_ERROR: Exception during event lookup', {
+        eventId,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  // A propertyChange carrying the exact um_email we last wrote is HubSpot echoing our update
+  async findSelfTriggeredWrite(event) {
+    if (event?.subscriptionType !== 'contact.propertyChange' ||
+        event.propertyName !== 'email' ||
+        !event.propertyValue ||
+        event.objectId == null) {
+      return null;
+    }
+
+    const contactId = String(event.objectId);
+    const value = this.normalizeEmail(event.propertyValue);
+    const lastWrite = await this.getLastWriteback(contactId);
+
+    if (lastWrite && lastWrite.umEmail === value) {
+      return lastWrite;
+    }
+
+    return null;
+  }
+
+  async getLastWriteback(contactId) {
+    this.pruneMemory();
+
+    const cached = this.writebacks.get(contactId);
+    if (cached) {
+      return cached;
+    }
+
+    if (!this.supabaseEnabled || !this.supabase) {
+      return null;
+    }
+
+    try {
+      const { data, error } = await this.supabase
+        .from(this.writebacksTable)
+        .select('contact_id, um_email, written_at')
+        .eq('contact_id', contactId)
+        .maybeSingle();
+
+      if (error) {
+        console.error('WEBHOOK_IDEMPOTENCY_ERROR: Write-back lookup failed', {
+          contactId,
+          error: error.message
+        });
+        return null;
+      }
+
+      if (!data) {
+        return null;
+      }
+
+      const entry = {
+        umEmail: this.normalizeEmail(data.um_email),
+        writtenAt: new Date(data.written_at).getTime()
+      };
+
+      if (!this.isFresh(entry.writtenAt)) {
+        return null;
+      }
+
+      this.writebacks.set(contactId, entry);
+      return entry;
+    } catch (error) {
+      console.error('WEBHOOK_IDEMPOTENCY_ERROR: Exception during write-back lookup', {
+        contactId,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  async recordProcessed(event) {
+    if (event?.eventId == null) {
+      return;
+    }
+
+    const eventId = String(event.eventId);
+    const entry = {
+      attemptNumber: event.attemptNumber ?? null,
+      processedAt: Date.now()
+    };
+    this.processedEvents.set(this.getDeliveryKey(event), entry);
+
+    if (!this.supabaseEnabled || !this.supabase) {
+      return;
+    }
+
+    try {
+      const { error } = await this.supabase
+        .from(this.eventsTable)
+        .insert({
+          event_id: eventId,
+          attempt_number: entry.attemptNumber,
+          object_id: event.objectId != null ? String(event.objectId) : null,
+          processed_at: new Date(entry.processedAt).toISOString()
+        });
+
+      if (error) {
+        console.error('WEBHOOK_IDEMPOTENCY_ERROR: Failed to record processed event', {
+          eventId,
+          error: error.message
+        });
+      }
+    } catch (error) {
+      console.error('WEBHOOK_IDEMPOTENCY_ERROR: Exception recording processed event', {
+        eventId,
+        error: error.message
+      });
+    }
+  }
+
+  async recordWriteback(contactId, umEmail) {
+    if (contactId == null || !umEmail) {
+      return;
+    }
+
+    const key = String(contactId);
+    const entry = {
+      umEmail: this.normalizeEmail(umEmail),
+      writtenAt: Date.now()
+    };
+    this.writebacks.set(key, entry);
+
+    if (!this.supabaseEnabled || !this.supabase) {
+      return;
+    }
+
+    try {
+      const { error } = await this.supabase
+        .from(this.writebacksTable)
+        .upsert({
+          contact_id: key,
+          um_email: entry.umEmail,
+          written_at: new Date(entry.writtenAt).toISOString()
+        }, { onConflict: 'contact_id' });
+
+      if (error) {
+        console.error('WEBHOOK_IDEMPOTENCY_ERROR: Failed to record write-back', {
+          contactId: key,
+          error: error.message
+        });
+      }
+    } catch (error) {
+      console.error('WEBHOOK_IDEMPOTENCY_ERROR: Exception recording write-back', {
+        contactId: key,
+        error: error.message
+      });
+    }
+  }
+}
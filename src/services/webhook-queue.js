@@ -0,0 +1,291 @@
+// src/services/webhook-queue.js
+import { getSupabaseClient } from './supabase-client.js';
+
+// Durable queue for incoming webhook events, stored in the webhook_queue table.
+// Items move pending -> processing -> completed, or back to pending with a backoff
+// delay on failure, and finally to dead_letter once retries are exhausted.
+export class WebhookQueueService {
+  constructor(config) {
+    this.config = config;
+    this.tableName = config.webhookQueue?.tableName || 'webhook_queue';
+
+    // Retry settings with defaults
+    this.maxAttempts = config.webhookQueue?.maxAttempts || 5;
+    this.baseBackoffMs = config.webhookQueue?.baseBackoffMs || 30000;      // 30 seconds
+    this.maxBackoffMs = config.webhookQueue?.maxBackoffMs || 60 * 60 * 1000; // 1 hour
+    // Items stuck in processing longer than this are assumed abandoned and reclaimed
+    this.lockTimeoutMs = config.webhookQueue?.lockTimeoutMs || 5 * 60 * 1000;
+
+    this.supabase = getSupabaseClient(config, 'WEBHOOK_QUEUE');
+    this.supabaseEnabled = !!this.supabase;
+
+    console.log('WEBHOOK_QUEUE_INIT: Webhook queue initialized', {
+      enabled: this.supabaseEnabled,
+      tableName: this.tableName,
+      maxAttempts: this.maxAttempts,
+      baseBackoffMs: this.baseBackoffMs,
+      maxBackoffMs: this.maxBackoffMs
+    });
+  }
+
+  isEnabled() {
+    return this.supabaseEnabled && !!this.supabase;
+  }
+
+  // Exponential backoff: base, 2x base, 4x base ... capped at maxBackoffMs
+  getBackoffDelay(attempts) {
+    return Math.min(this.baseBackoffMs * Math.pow(2, Math.max(attempts - 1, 0)), this.maxBackoffMs);
+  }
+
+  // Persist one row per event before the webhook is acknowledged
+  async enqueue(events, source = 'hubspot') {
+    if (!this.isEnabled()) {
+      console.error('WEBHOOK_QUEUE_ENQUEUE: Queue storage not enabled, cannot persist events');
+      return { success: false, reason: 'queue_not_enabled' };
+    }
+
+    const eventList = Array.isArray(events) ? events : [events];
+    if (eventList.length === 0) {
+      return { success: true, count: 0, ids: [] };
+    }
+
+    const now = new Date().toISOString();
+    const rows = eventList.map(event => ({
+      source,
+      event_id: event?.eventId != null ? String(event.eventId) : null,
+      object_id: event?.objectId != null ? String(event.objectId) : null,
+      subscription_type: event?.subscriptionType || null,
+      payload: event,
+      status: 'pending',
+      attempts: 0,
+      max_attempts: this.maxAttempts,
+      next_attempt_at: now,
+      created_at: now,
+      updated_at: now
+    }));
+
+    try {
+      const { data, error } = await this.supabase
+        .from(this.tableName)
+        .insert(rows)
+        .select('id');
+
+      if (error) {
+        console.error('WEBHOOK_QUEUE_ENQUEUE_ERROR: Insert failed', {
+          error: error.message,
+          code: error.code,
+          count: rows.length
+        });
+        return { success: false, reason: 'insert_failed', error: error.message };
+      }
+
+      const ids = (data || []).map(row => row.id);
+      console.log('WEBHOOK_QUEUE_ENQUEUE: Events persisted', { count: ids.length, source });
+
+      return { success: true, count: ids.length, ids };
+    } catch (error) {
+      console.error('WEBHOOK_QUEUE_ENQUEUE_ERROR: Exception during insert', {
+        error: error.message,
+        count: rows.length
+      });
+      return { success: false, reason: 'insert_failed', error: error.message };
+    }
+  }
+
+  // Claim due items for processing. Each claim is a conditional update so two
+  // consumers running at the same time never process the same item.
+  async claimDue(limit = 10) {
+    if (!this.isEnabled()) {
+      return [];
+    }
+
+    const now = new Date();
+    const staleLockCutoff = new Date(now.getTime() - this.lockTimeoutMs).toISOString();
+
+    try {
+      const { data: candidates, error } = await this.supabase
+        .from(this.tableName)
+        .select('*')
+        .or(`and(status.eq.pending,next_attempt_at.lte.${now.toISOString()}),and(status.eq.processing,locked_at.lt.${staleLockCutoff})`)
+        .order('next_attempt_at', { ascending: true })
+        .limit(limit);
+
+      if (error) {
+        console.error('WEBHOOK_QUEUE_CLAIM_ERROR: Query failed', {
+          error: error.message,
+          code: error.code
+        });
+        return [];
+      }
+
+      const claimed = [];
+      for (const candidate of candidates || []) {
+        const { data: updated, error: claimError } = await this.supabase
+          .from(this.tableName)
+          .update({
+            status: 'processing',
+            attempts: candidate.attempts + 1,
+            locked_at: now.toISOString(),
+            updated_at: now.toISOString()
+          })
+          .eq('id', candidate.id)
+          .eq('status', candidate.status)
+          .eq('attempts', candidate.attempts)
+          .select()
+          .maybeSingle();
+
+        if (claimError) {
+          console.error('WEBHOOK_QUEUE_CLAIM_ERROR: Claim update failed', {
+            id: candidate.id,
+            error: claimError.message
+          });
+          continue;
+        }
+
+        if (updated) {
+          claimed.push(updated);
+        }
+      }
+
+      console.log('WEBHOOK_QUEUE_CLAIM: Claimed queue items', {
+        candidates: candidates?.length || 0,
+        claimed: claimed.length
+      });
+
+      return claimed;
+    } catch (error) {
+      console.error('WEBHOOK_QUEUE_CLAIM_ERROR: Exception during claim', {
+        error: error.message
+      });
+      return [];
+    }
+  }
+
+  async markCompleted(item, result = null) {
+    if (!this.isEnabled()) {
+      return { success: false, reason: 'queue_not_enabled' };
+    }
+
+    const now = new Date().toISOString();
+    const { error } = await this.supabase
+      .from(this.tableName)
+      .update({
+        status: 'completed',
+        result,
+        last_error: null,
+        locked_at: null,
+        completed_at: now,
+        updated_at: now
+      })
+      .eq('id', item.id);
+
+    if (error) {
+      console.error('WEBHOOK_QUEUE_COMPLETE_ERROR:', { id: item.id, error: error.message });
+      return { success: false, error: error.message };
+    }
+
+    return { success: true, id: item.id, status: 'completed' };
+  }
+
+  // Schedule a retry with backoff, or move the item to the dead-letter state once its
+  // attempts are used up. retry: false dead-letters it straight away.
+  async markFailed(item, errorMessage, options = {}) {
+    if (!this.isEnabled()) {
+      return { success: false, reason: 'queue_not_enabled' };
+    }
+
+    const { retry = true } = options;
+    const maxAttempts = item.max_attempts || this.maxAttempts;
+    const deadLetter = !retry || item.attempts >= maxAttempts;
+    const now = new Date();
+
+    const update = {
+      status: deadLetter ? 'dead_letter' : 'pending',
+      last_error: errorMessage || 'Unknown error',
+      locked_at: null,
+      updated_at: now.toISOString()
+    };
+
+    if (!deadLetter) {
+      update.next_attempt_at = new Date(now.getTime() + this.getBackoffDelay(item.attempts)).toISOString();
+    }
+
+    const { error } = await this.supabase
+      .from(this.tableName)
+      .update(update)
+      .eq('id', item.id);
+
+    if (error) {
+      console.error('WEBHOOK_QUEUE_FAIL_ERROR:', { id: item.id, error: error.message });
+      return { success: false, error: error.message };
+    }
+
+    console.log('WEBHOOK_QUEUE_FAIL: Queue item failed', {
+      id: item.id,
+      attempts: item.attempts,
+      maxAttempts,
+      status: update.status,
+      nextAttemptAt: update.next_attempt_at || null
+    });
+
+    return { success: true, id: item.id, status: update.status, nextAttemptAt: update.next_attempt_at || null };
+  }
+
+  async listDeadLetters(limit = 50) {
+    if (!this.isEnabled()) {
+      return { success: false, reason: 'queue_not_enabled', items: [] };
+    }
+
+    const { data, error } = await this.supabase
+      .from(this.tableName)
+      .select('id, source, event_id, object_id, subscription_type, attempts, max_attempts, last_error, created_at, updated_at, payload')
+      .eq('status', 'dead_letter')
+      .order('updated_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      console.error('WEBHOOK_QUEUE_DEAD_LETTER_ERROR:', { error: error.message });
+      return { success: false, error: error.message, items: [] };
+    }
+
+    return { success: true, items: data || [] };
+  }
+
+  // Put dead-lettered items back on the queue with a fresh retry budget
+  async replayDeadLetters(ids) {
+    if (!this.isEnabled()) {
+      return { success: false, reason: 'queue_not_enabled' };
+    }
+
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return { success: false, reason: 'no_ids' };
+    }
+
+    const now = new Date().toISOString();
+    const { data, error } = await this.supabase
+      .from(this.tableName)
+      .update({
+        status: 'pending',
+        attempts: 0,
+        next_attempt_at: now,
+        locked_at: null,
+        updated_at: now
+      })
+      .in('id', ids)
+      .eq('status', 'dead_letter')
+      .select('id');
+
+    if (error) {
+      console.error('WEBHOOK_QUEUE_REPLAY_ERROR:', { error: error.message });
+      return { success: false, error: error.message };
+    }
+
+    const replayed = (data || []).map(row => row.id);
+    console.log('WEBHOOK_QUEUE_REPLAY: Dead-lettered items requeued', {
+      requested: ids.length,
+      replayed: replayed.length
+    });
+
+    return { success: true, replayed };
+  }
+}
@@ -42,11 +42,12 @@ async function testEmailValidation() {
     
     console.log('Validation Results:', JSON.stringify(results, null, 2));
     
-    console.log('Testing Redis caching...');
-    // Test if caching works by checking if the email is now known valid
+    console.log('Testing stored results...');
+    // Test if the result was stored by reading it back under the corrected address
     if (results[0].status === 'valid') {
-      const isKnown = await emailValidator.isKnownValidEmail(emails[0]);
-      console.log(`Is "${emails[0]}" known valid? ${isKnown}`);
+      const stored = await emailValidator.getStoredValidation(results[0].currentEmail);
+      const freshness = stored.found ? emailValidator.getStoredResultFreshness(stored.data) : null;
+      console.log(`Is "${results[0].currentEmail}" stored? ${stored.found}`, freshness);
     }
     
   } catch (error) {
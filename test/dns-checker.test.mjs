@@ -0,0 +1,63 @@
+// test/dns-checker.test.mjs
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { DnsCheckService } from '../src/services/dns-checker.js';
+import { startDnsStub, silenceLogs } from './stubs.mjs';
+
+silenceLogs();
+
+const dns = await startDnsStub({
+  'mail.example': { MX: [[20, 'mx2.mail.example'], [10, 'mx1.mail.example']] },
+  'nullmx.example': { MX: [[0, '']] },
+  'aonly.example': { A: ['192.0.2.10'] },
+  'nomail.example': {}
+});
+after(() => dns.close());
+
+const checker = () => new DnsCheckService({ servers: [dns.server], timeoutMs: 1000, tries: 1 });
+
+test('MX records are returned in priority order', async () => {
+  const result = await checker().checkDomain('mail.example');
+
+  assert.equal(result.status, 'valid');
+  assert.deepEqual(result.mxRecords.map(record => record.exchange), ['mx1.mail.example', 'mx2.mail.example']);
+});
+
+test('a null MX record means the domain takes no mail', async () => {
+  const result = await checker().checkDomain('nullmx.example');
+
+  assert.equal(result.status, 'invalid');
+  assert.equal(result.subStatus, 'null_mx');
+});
+
+test('NXDOMAIN is invalid / nxdomain', async () => {
+  const result = await checker().checkDomain('missing.example');
+
+  assert.equal(result.status, 'invalid');
+  assert.equal(result.subStatus, 'nxdomain');
+  assert.deepEqual(result.mxRecords, []);
+});
+
+test('a domain without MX falls back to its A record', async () => {
+  const result = await checker().checkDomain('aonly.example');
+
+  assert.equal(result.status, 'valid');
+  assert.equal(result.implicitMx, true);
+  assert.deepEqual(result.mxRecords, [{ exchange: 'aonly.example', priority: 0 }]);
+});
+
+test('a domain with neither MX nor address records is invalid / no_mx', async () => {
+  const result = await checker().checkDomain('nomail.example');
+
+  assert.equal(result.status, 'invalid');
+  assert.equal(result.subStatus, 'no_mx');
+});
+
+test('answers are cached, dead domains included', async () => {
+  const service = checker();
+  await service.checkDomain('missing.example');
+  const second = await service.checkDomain('MISSING.example.');
+
+  assert.equal(second.cached, true);
+  assert.equal(second.subStatus, 'nxdomain');
+});
@@ -0,0 +1,131 @@
+// test/email-validator.test.mjs
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EmailValidationService } from '../src/services/email-validator.js';
+import { createSupabaseStub, silenceLogs } from './stubs.mjs';
+
+silenceLogs();
+
+// A validator on an in-memory Supabase, with network checks off. acme.com is a known
+// mailbox domain, so addresses on it are valid without a provider.
+function createValidator(config = {}) {
+  const stub = createSupabaseStub({
+    contacts: [],
+    email_validations: [],
+    common_valid_domains: [{ domain: 'acme.com' }, { domain: 'gmail.com', popularity: 100 }],
+    invalid_domains: [],
+    domain_typos: [],
+    valid_tlds: ['com', 'net', 'org'].map(tld => ({ tld }))
+  });
+  const validator = new EmailValidationService({
+    supabaseClient: stub,
+    useDnsCheck: false,
+    useDomainIntelligence: false,
+    ...config
+  });
+  return { validator, stub };
+}
+
+const storedRow = (stub, email) => stub.tables.email_validations.find(row => row.email === email);
+
+test('a role account downgraded for one client is stored as valid', async () => {
+  const { validator, stub } = createValidator({
+    clientSettings: { hygiene: { downgradeRoleAccounts: true } }
+  });
+
+  const downgraded = await validator.validateEmail('info@acme.com', { clientId: 'hygiene', skipZeroBounce: true });
+  assert.equal(downgraded.status, 'unknown');
+  assert.equal(downgraded.subStatus, 'role_based');
+
+  const row = storedRow(stub, 'info@acme.com');
+  assert.equal(row.um_validation_status, 'valid');
+  assert.equal(row.um_validation_substatus ?? null, null);
+
+  // Another client reuses the stored verdict without the downgrade
+  const other = await validator.validateEmail('info@acme.com', { skipZeroBounce: true });
+  assert.equal(other.servedFromStorage, true);
+  assert.equal(other.status, 'valid');
+});
+
+test('a status kept only by the client\'s own window is stored and reused by that client', async () => {
+  const { validator, stub } = createValidator({
+    storedResults: { ttlDays: { unknown: 0 } },
+    clientSettings: { patient: { storedResultTtlDays: { unknown: 5 } } }
+  });
+
+  const first = await validator.validateEmail('jane@smallbiz.net', { clientId: 'patient', skipZeroBounce: true });
+  assert.equal(first.status, 'unknown');
+  assert.equal(storedRow(stub, 'jane@smallbiz.net').um_validation_status, 'unknown');
+
+  const again = await validator.validateEmail('jane@smallbiz.net', { clientId: 'patient', skipZeroBounce: true });
+  assert.equal(again.servedFromStorage, true);
+
+  // The service-wide window is 0 days, so other clients check the address again
+  const other = await validator.validateEmail('jane@smallbiz.net', { skipZeroBounce: true });
+  assert.equal(other.servedFromStorage, false);
+});
+
+test('gmial.com is corrected to gmail.com above the threshold', async () => {
+  const { validator } = createValidator();
+
+  const result = await validator.quickValidate('jane@gmial.com');
+  assert.equal(result.currentEmail, 'jane@gmail.com');
+  assert.equal(result.wasCorrected, true);
+  assert.equal(result.domainSuggestion.candidate, 'gmail.com');
+  assert.equal(result.domainSuggestion.applied, true);
+  assert.ok(result.domainSuggestion.confidence >= 0.8);
+});
+
+test('a suggestion below the client\'s threshold is returned unapplied', async () => {
+  const { validator } = createValidator({
+    clientSettings: { strict: { typoAutoCorrectThreshold: 0.99 } }
+  });
+
+  const result = await validator.quickValidate('jane@gmial.com', 'strict');
+  assert.equal(result.currentEmail, 'jane@gmial.com');
+  assert.equal(result.domainSuggestion.candidate, 'gmail.com');
+  assert.equal(result.domainSuggestion.applied, false);
+});
+
+test('ZeroBounce do_not_mail is stored as unknown and not rechecked', async () => {
+  const { validator, stub } = createValidator();
+  let calls = 0;
+  validator.getVerificationProvider = () => ({
+    name: 'zerobounce',
+    verify: async () => {
+      calls++;
+      return { provider: 'zerobounce', status: 'unknown', subStatus: 'do_not_mail', recheckNeeded: false, cost: 1 };
+    }
+  });
+
+  const first = await validator.validateEmail('jane@smallbiz.net');
+  assert.equal(first.status, 'unknown');
+  assert.equal(first.subStatus, 'do_not_mail');
+  assert.equal(first.recheckNeeded, false);
+  assert.equal(first.um_bounce_status, 'Unknown');
+  assert.equal(storedRow(stub, 'jane@smallbiz.net').um_validation_substatus, 'do_not_mail');
+
+  const again = await validator.validateEmail('jane@smallbiz.net');
+  assert.equal(again.servedFromStorage, true);
+  assert.equal(again.recheckNeeded, false);
+  assert.equal(calls, 1);
+});
+
+test('role accounts are flagged but keep their verdict unless the client opts in', async () => {
+  const { validator } = createValidator({
+    clientSettings: { hygiene: { downgradeRoleAccounts: true } }
+  });
+
+  const flagged = await validator.validateEmail('noreply@acme.com', { skipZeroBounce: true });
+  assert.equal(flagged.status, 'valid');
+  assert.equal(flagged.isRoleAccount, true);
+  assert.equal(flagged.roleCategory, 'no-reply');
+
+  const downgraded = await validator.validateEmail('noreply@acme.com', { clientId: 'hygiene', skipZeroBounce: true });
+  assert.equal(downgraded.status, 'unknown');
+  assert.equal(downgraded.subStatus, 'role_based');
+
+  const person = await validator.validateEmail('jane@acme.com', { clientId: 'hygiene', skipZeroBounce: true });
+  assert.equal(person.status, 'valid');
+  assert.equal(person.isRoleAccount, false);
+});
@@ -0,0 +1,92 @@
+// test/hubspot-client.test.mjs
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { HubSpotClient } from '../src/services/hubspot-client.js';
+import { startHttpStub, silenceLogs } from './stubs.mjs';
+
+silenceLogs();
+
+// Contact 401 answers unauthorized, 429 is rate limited, anything else succeeds
+const hubspot = await startHttpStub(req => {
+  if (req.url.endsWith('/401')) {
+    return { status: 401, body: { message: 'Authentication credentials not found', category: 'INVALID_AUTHENTICATION' } };
+  }
+  if (req.url.endsWith('/429')) {
+    return { status: 429, headers: { 'Retry-After': '10' }, body: { message: 'Too many requests', category: 'RATE_LIMITS' } };
+  }
+  return { status: 200, body: { id: req.url.split('/').pop(), updatedAt: '2024-01-01T00:00:00.000Z' } };
+});
+after(() => hubspot.close());
+
+const client = new HubSpotClient({ apiKey: 'test-token', baseUrl: hubspot.baseUrl });
+
+const correctedResult = {
+  originalEmail: 'jane@gmial.com',
+  currentEmail: 'jane@gmail.com',
+  wasCorrected: true,
+  status: 'valid',
+  subStatus: null,
+  recheckNeeded: false,
+  date_last_um_check_epoch: Date.UTC(2024, 0, 1, 15, 30)
+};
+
+test('PATCH success writes the validation properties and the corrected email', async () => {
+  const result = await client.updateContact('101', correctedResult);
+
+  assert.equal(result.success, true);
+  assert.equal(result.statusCode, 200);
+  assert.equal(result.updatedAt, '2024-01-01T00:00:00.000Z');
+
+  const request = hubspot.requests.at(-1);
+  assert.equal(request.method, 'PATCH');
+  assert.equal(request.url, '/crm/v3/objects/contacts/101');
+  assert.equal(request.headers.authorization, 'Bearer test-token');
+
+  const { properties } = JSON.parse(request.body);
+  assert.equal(properties.email, 'jane@gmail.com');
+  assert.equal(properties.email_status, 'valid');
+  assert.equal(properties.email_corrected, 'true');
+  assert.equal(properties.original_email, 'jane@gmial.com');
+  assert.equal(properties.email_check_date, String(Date.UTC(2024, 0, 1)));
+});
+
+test('PATCH leaves the email property alone when nothing was corrected', async () => {
+  const result = await client.updateContact('102', {
+    ...correctedResult,
+    currentEmail: 'jane@gmial.com',
+    wasCorrected: false,
+    status: 'invalid',
+    subStatus: 'mailbox_not_found'
+  });
+
+  assert.equal(result.success, true);
+  assert.equal(result.properties.email, undefined);
+  assert.equal(result.properties.email_sub_status, 'mailbox_not_found');
+});
+
+test('401 is reported as unauthorized', async () => {
+  const result = await client.updateContact('401', correctedResult);
+
+  assert.equal(result.success, false);
+  assert.equal(result.statusCode, 401);
+  assert.equal(result.reason, 'unauthorized');
+  assert.equal(result.category, 'INVALID_AUTHENTICATION');
+});
+
+test('429 is reported as rate limited with the Retry-After delay', async () => {
+  const result = await client.updateContact('429', correctedResult);
+
+  assert.equal(result.success, false);
+  assert.equal(result.statusCode, 429);
+  assert.equal(result.reason, 'rate_limited');
+  assert.equal(result.retryAfterMs, 10000);
+});
+
+test('no request is sent without an API key', async () => {
+  const before = hubspot.requests.length;
+  const result = await new HubSpotClient({ baseUrl: hubspot.baseUrl }).updateContact('103', correctedResult);
+
+  assert.equal(result.success, false);
+  assert.equal(result.reason, 'not_configured');
+  assert.equal(hubspot.requests.length, before);
+});
@@ -0,0 +1,109 @@
+// test/hubspot-webhook.test.mjs
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import { Readable } from 'node:stream';
+import { startHttpStub, silenceLogs } from './stubs.mjs';
+
+silenceLogs();
+
+// Supabase REST API: accepts webhook_queue inserts
+const supabase = await startHttpStub(req =>
+  req.method === 'POST' ? { status: 201, body: [{ id: 1 }] } : { status: 200, body: [] }
+);
+after(() => supabase.close());
+
+const SECRET = 'test-client-secret';
+Object.assign(process.env, {
+  HUBSPOT_CLIENT_SECRET: SECRET,
+  SUPABASE_URL: supabase.baseUrl,
+  SUPABASE_SERVICE_ROLE_KEY: 'test-service-key'
+});
+delete process.env.SKIP_SIGNATURE_VERIFICATION;
+delete process.env.HUBSPOT_WEBHOOK_URL;
+
+const { default: handler } = await import('../api/webhooks/hubspot.js');
+
+const HOST = 'hooks.example.com';
+const PATH = '/api/webhooks/hubspot';
+const BODY = JSON.stringify([{ eventId: 1, subscriptionType: 'contact.creation', objectId: 101 }]);
+
+function signV3(body, timestamp, secret = SECRET) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`POSThttps://${HOST}${PATH}${body}${timestamp}`)
+    .digest('base64');
+}
+
+// Send body through the handler as HubSpot would, with the given signature headers
+async function deliver(body, headers) {
+  const req = Readable.from([Buffer.from(body)]);
+  Object.assign(req, { method: 'POST', url: PATH, headers: { host: HOST, 'content-type': 'application/json', ...headers } });
+
+  const res = {
+    statusCode: null,
+    body: null,
+    headersSent: false,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      this.body = payload;
+      this.headersSent = true;
+      return this;
+    }
+  };
+
+  await handler(req, res);
+  return res;
+}
+
+const v3Headers = (signature, timestamp) => ({
+  'x-hubspot-signature-v3': signature,
+  'x-hubspot-request-timestamp': String(timestamp)
+});
+
+test('a valid v3 signature is accepted and the events are queued', async () => {
+  const before = supabase.requests.length;
+  const timestamp = Date.now();
+  const res = await deliver(BODY, v3Headers(signV3(BODY, timestamp), timestamp));
+
+  assert.equal(res.statusCode, 202);
+  assert.equal(res.body.queued, 1);
+
+  const insert = supabase.requests.slice(before).find(request => request.method === 'POST');
+  assert.match(insert.url, /^\/rest\/v1\/webhook_queue/);
+  assert.equal(JSON.parse(insert.body)[0].event_id, '1');
+});
+
+test('a signature made with another secret is rejected', async () => {
+  const before = supabase.requests.length;
+  const timestamp = Date.now();
+  const res = await deliver(BODY, v3Headers(signV3(BODY, timestamp, 'wrong-secret'), timestamp));
+
+  assert.equal(res.statusCode, 401);
+  assert.equal(supabase.requests.length, before);
+});
+
+test('a timestamp outside the five minute window is rejected', async () => {
+  const timestamp = Date.now() - 6 * 60 * 1000;
+  const res = await deliver(BODY, v3Headers(signV3(BODY, timestamp), timestamp));
+
+  assert.equal(res.statusCode, 401);
+});
+
+test('a body that differs from the signed one is rejected', async () => {
+  const timestamp = Date.now();
+  const tampered = BODY.replace('101', '102');
+  const res = await deliver(tampered, v3Headers(signV3(BODY, timestamp), timestamp));
+
+  assert.equal(res.statusCode, 401);
+});
+
+test('v1 signatures cover the secret and the raw body', async () => {
+  const signature = crypto.createHash('sha256').update(SECRET + BODY).digest('hex');
+
+  assert.equal((await deliver(BODY, { 'x-hubspot-signature': signature })).statusCode, 202);
+  assert.equal((await deliver(`${BODY} `, { 'x-hubspot-signature': signature })).statusCode, 401);
+});
@@ -0,0 +1,95 @@
+// test/queue-consumer.test.mjs
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startSupabaseHttpStub, silenceLogs } from './stubs.mjs';
+
+silenceLogs();
+
+const supabase = await startSupabaseHttpStub({ webhook_queue: [], webhook_events: [] });
+after(() => supabase.close());
+
+const SECRET = 'test-cron-secret';
+Object.assign(process.env, {
+  CRON_SECRET: SECRET,
+  SUPABASE_URL: supabase.baseUrl,
+  SUPABASE_SERVICE_ROLE_KEY: 'test-service-key',
+  USE_REDIS: 'false'
+});
+delete process.env.HUBSPOT_API_KEY;
+
+const { default: handler } = await import('../api/queue-consumer.js');
+
+async function call({ method = 'GET', query = {}, body, token = SECRET } = {}) {
+  const req = { method, query, body, headers: token ? { authorization: `Bearer ${token}` } : {} };
+  const res = {
+    statusCode: null,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      this.body = payload;
+      return this;
+    }
+  };
+  await handler(req, res);
+  return res;
+}
+
+let nextId = 1;
+function queueEvent(event, fields = {}) {
+  const row = {
+    id: nextId++,
+    source: 'hubspot',
+    event_id: String(event.eventId),
+    payload: event,
+    status: 'pending',
+    attempts: 0,
+    next_attempt_at: new Date(0).toISOString(),
+    locked_at: null,
+    last_error: null,
+    ...fields
+  };
+  supabase.tables.webhook_queue.push(row);
+  return row;
+}
+
+test('requests without the cron secret are rejected', async () => {
+  assert.equal((await call({ token: null })).statusCode, 401);
+  assert.equal((await call({ token: 'wrong' })).statusCode, 401);
+});
+
+test('drain completes skipped events and dead-letters updates HubSpot is not configured for', async () => {
+  const noEmail = queueEvent({ eventId: 1, objectId: 101, subscriptionType: 'contact.creation' });
+  const withEmail = queueEvent({
+    eventId: 2,
+    objectId: 102,
+    subscriptionType: 'contact.propertyChange',
+    propertyName: 'email',
+    propertyValue: 'jane@gmail.com'
+  });
+
+  const res = await call();
+  assert.equal(res.statusCode, 200);
+
+  assert.equal(noEmail.status, 'completed');
+  assert.equal(withEmail.status, 'dead_letter');
+  assert.equal(withEmail.attempts, 1);
+  assert.equal(withEmail.last_error, 'not_configured');
+});
+
+test('dead letters are listed and replayed', async () => {
+  const dead = queueEvent({ eventId: 3, objectId: 103 }, { status: 'dead_letter', attempts: 5 });
+
+  const listed = await call({ query: { action: 'dead-letters' } });
+  assert.equal(listed.statusCode, 200);
+  assert.ok(listed.body.items.some(item => item.id === dead.id));
+
+  assert.equal((await call({ query: { action: 'replay' } })).statusCode, 405);
+
+  const replayed = await call({ method: 'POST', body: { action: 'replay', ids: [dead.id] } });
+  assert.equal(replayed.statusCode, 200);
+  assert.equal(dead.status, 'pending');
+  assert.equal(dead.attempts, 0);
+});
@@ -0,0 +1,73 @@
+// test/reference-data.test.mjs
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ReferenceDataCache } from '../src/services/reference-data.js';
+import { EmailValidationService } from '../src/services/email-validator.js';
+import { createSupabaseStub, silenceLogs } from './stubs.mjs';
+
+silenceLogs();
+
+const referenceTables = () => ({
+  invalid_domains: [{ domain: 'dead.example' }],
+  common_valid_domains: [{ domain: 'gmail.com', popularity: 100 }],
+  domain_typos: [{ typo_domain: 'gmial.com', correct_domain: 'gmail.com' }],
+  valid_tlds: ['com', 'au', 'com.au', 'uk', 'co.uk', 'al'].map(tld => ({ tld }))
+});
+
+const loadsOf = (stub, table) => stub.queries.filter(query => query.table === table).length;
+
+async function loadedCache(stub, options = {}) {
+  const cache = new ReferenceDataCache({ supabaseClient: stub, ...options });
+  await cache.ensureFresh();
+  return cache;
+}
+
+test('dotless multi-label TLDs are repaired', async () => {
+  const cache = await loadedCache(createSupabaseStub(referenceTables()));
+
+  assert.equal(cache.getTldCorrection('company.comau'), 'company.com.au');
+  assert.equal(cache.getTldCorrection('companycomau'), 'company.com.au');
+  assert.equal(cache.getTldCorrection('shop.couk'), 'shop.co.uk');
+  assert.equal(cache.getTldCorrection('company.com.au'), null);
+});
+
+test('single-label TLDs are never split off a domain', async () => {
+  const cache = await loadedCache(createSupabaseStub(referenceTables()));
+
+  // "global" is not in valid_tlds, but "al" is; the domain is left alone
+  assert.equal(cache.getTldCorrection('startup.global'), null);
+  assert.equal(cache.getTldCorrection('gmailcom'), null);
+});
+
+test('a failed refresh keeps serving the last good snapshot', async () => {
+  const stub = createSupabaseStub(referenceTables());
+  const cache = await loadedCache(stub, { retryIntervalMs: 1000 });
+
+  stub.failing.add('invalid_domains');
+  stub.failing.add('valid_tlds');
+  cache.invalidate();
+  await cache.ensureFresh();
+  await cache.loading;
+
+  assert.equal(cache.isInvalidDomain('dead.example'), true);
+  assert.equal(cache.getTldCorrection('company.comau'), 'company.com.au');
+  assert.ok(cache.nextRefreshAt - Date.now() <= 1000);
+});
+
+test('validators built from one config share the snapshot', async () => {
+  const stub = createSupabaseStub(referenceTables());
+  const config = { supabaseClient: stub, useDnsCheck: false };
+
+  const first = new EmailValidationService(config);
+  const second = new EmailValidationService(config);
+  assert.equal(first.referenceData, second.referenceData);
+  assert.equal(first.dnsChecker, second.dnsChecker);
+
+  assert.equal(await first.checkInvalidDomain('dead.example'), true);
+  assert.equal(await second.checkInvalidDomain('dead.example'), true);
+  assert.equal(loadsOf(stub, 'invalid_domains'), 1);
+
+  // A different config gets its own services
+  const other = new EmailValidationService({ ...config });
+  assert.notEqual(other.referenceData, first.referenceData);
+});
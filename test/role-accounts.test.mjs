@@ -0,0 +1,42 @@
+// test/role-accounts.test.mjs
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RoleAccountService } from '../src/services/role-accounts.js';
+import { silenceLogs } from './stubs.mjs';
+
+silenceLogs();
+
+const roles = new RoleAccountService();
+
+// [local part, roleCategory or null for a person]
+const CASES = [
+  ['info', 'admin'],
+  ['Sales', 'sales'],
+  ['support2', 'support'],
+  ['noreply', 'no-reply'],
+  ['No.Reply', 'no-reply'],
+  ['no-reply', 'no-reply'],
+  ['noreply+news', 'no-reply'],
+  ['postmaster', 'system'],
+  ['jane', null],
+  ['jane.smith', null],
+  ['information.officer', null]
+];
+
+for (const [localPart, roleCategory] of CASES) {
+  test(`${localPart} is ${roleCategory ? `a ${roleCategory} role account` : 'a person'}`, () => {
+    const result = roles.classify(localPart);
+    assert.equal(result.isRoleAccount, roleCategory !== null);
+    assert.equal(result.roleCategory, roleCategory);
+  });
+}
+
+test('extra entries extend the dictionary', () => {
+  const custom = new RoleAccountService({ extraEntries: { support: ['kundenservice'] } });
+  assert.equal(custom.classify('kundenservice').roleCategory, 'support');
+  assert.equal(custom.classify('info').roleCategory, 'admin');
+});
+
+test('a disabled check flags nothing', () => {
+  assert.equal(new RoleAccountService({ enabled: false }).classify('info').isRoleAccount, false);
+});
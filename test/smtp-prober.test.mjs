@@ -0,0 +1,96 @@
+// test/smtp-prober.test.mjs
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { SmtpProbeService } from '../src/services/smtp-prober.js';
+import { startSmtpStub, silenceLogs } from './stubs.mjs';
+
+silenceLogs();
+
+// Mailbox server: only "jane" exists
+const mailbox = await startSmtpStub(localPart =>
+  localPart === 'jane' ? '250 2.1.5 OK' : '550 5.1.1 The email account that you tried to reach does not exist'
+);
+// Catch-all server: every RCPT is accepted
+const catchAll = await startSmtpStub(() => '250 2.1.5 OK');
+// Server that refuses the sender outright
+const blocking = await startSmtpStub(() => '550 5.7.1 Service unavailable, client host blocked using Spamhaus');
+after(() => Promise.all([mailbox.shutdown(), catchAll.shutdown(), blocking.shutdown()]));
+
+const MX = [{ exchange: '127.0.0.1', priority: 10 }];
+
+function prober(server) {
+  return new SmtpProbeService({
+    enabled: true,
+    port: server.port,
+    heloHost: 'probe.test',
+    connectTimeoutMs: 1000,
+    commandTimeoutMs: 1000
+  });
+}
+
+test('250 for an existing mailbox is valid', async () => {
+  const result = await prober(mailbox).probe('jane@example.com', MX);
+
+  assert.equal(result.status, 'valid');
+  assert.equal(result.smtpCode, 250);
+  assert.equal(result.isCatchAll, false);
+});
+
+test('550 5.1.1 is invalid / mailbox_not_found', async () => {
+  const result = await prober(mailbox).probe('nobody@example.com', MX);
+
+  assert.equal(result.status, 'invalid');
+  assert.equal(result.subStatus, 'mailbox_not_found');
+  assert.equal(result.recheckNeeded, false);
+});
+
+test('a server that accepts a random mailbox is catch-all', async () => {
+  const result = await prober(catchAll).probe('jane@example.com', MX);
+
+  assert.equal(result.status, 'unknown');
+  assert.equal(result.subStatus, 'catch_all');
+  assert.equal(result.isCatchAll, true);
+  assert.equal(result.recheckNeeded, false);
+});
+
+test('550 5.7.1 is a policy rejection, not a missing mailbox', async () => {
+  const result = await prober(blocking).probe('jane@example.com', MX);
+
+  assert.equal(result.status, 'unknown');
+  assert.equal(result.subStatus, 'smtp_rejected');
+  assert.equal(result.recheckNeeded, true);
+});
+
+test('RCPT replies are classified by code, enhanced status and text', () => {
+  const service = new SmtpProbeService({});
+  const classify = (code, message) => {
+    const { status, subStatus } = service.classifyRcptResponse(code, message);
+    return `${status}/${subStatus}`;
+  };
+
+  assert.equal(classify(251, 'User not local; will forward'), 'valid/null');
+  assert.equal(classify(550, 'No such user here'), 'invalid/mailbox_not_found');
+  assert.equal(classify(553, '5.1.3 Bad recipient address syntax'), 'invalid/mailbox_not_found');
+  assert.equal(classify(550, '5.2.2 Mailbox full'), 'invalid/mailbox_quota_exceeded');
+  assert.equal(classify(550, '5.7.606 Access denied, banned sending IP'), 'unknown/smtp_rejected');
+  assert.equal(classify(550, 'Message rejected as spam'), 'unknown/smtp_rejected');
+  assert.equal(classify(552, 'Mailbox full'), 'invalid/mailbox_quota_exceeded');
+  assert.equal(classify(451, 'Greylisted, try again later'), 'unknown/greylisted');
+});
+
+test('an unreachable MX is check_failed', async () => {
+  const closed = await startSmtpStub(() => '250 OK');
+  const port = closed.port;
+  await closed.shutdown();
+
+  const service = new SmtpProbeService({ enabled: true, port, connectTimeoutMs: 500, commandTimeoutMs: 500 });
+  const result = await service.probe('jane@example.com', MX);
+
+  assert.equal(result.status, 'check_failed');
+  assert.equal(result.recheckNeeded, true);
+});
+
+test('the probe is skipped unless enabled', async () => {
+  const result = await new SmtpProbeService({ port: mailbox.port }).probe('jane@example.com', MX);
+  assert.equal(result.status, 'check_skipped');
+});
@@ -0,0 +1,372 @@
+// test/stubs.mjs
+// Local stand-ins for the external services, so the checks run without network access
+import http from 'node:http';
+import net from 'node:net';
+import dgram from 'node:dgram';
+
+// Services log every step; keep test output readable
+export function silenceLogs() {
+  console.log = () => {};
+  console.error = () => {};
+  console.warn = () => {};
+}
+
+// HTTP server that answers each request with handler(req, body) -> { status, headers, body }.
+// Requests are recorded in server.requests.
+export async function startHttpStub(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      const reply = handler(req, body) || {};
+      res.writeHead(reply.status || 200, { 'Content-Type': 'application/json', ...(reply.headers || {}) });
+      res.end(reply.body === undefined ? '' : JSON.stringify(reply.body));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  server.requests = requests;
+  server.baseUrl = `http://127.0.0.1:${server.address().port}`;
+  return server;
+}
+
+// Encode a domain name as DNS labels
+function encodeName(name) {
+  const labels = name.split('.').filter(Boolean).map(label =>
+    Buffer.concat([Buffer.from([label.length]), Buffer.from(label)])
+  );
+  return Buffer.concat([...labels, Buffer.from([0])]);
+}
+
+// Minimal UDP DNS server. zone maps a name to { MX: [[priority, exchange]], A: [ip] };
+// names missing from the zone answer NXDOMAIN, names without the asked type answer NODATA.
+export async function startDnsStub(zone) {
+  const socket = dgram.createSocket('udp4');
+
+  socket.on('message', (message, remote) => {
+    const id = message.readUInt16BE(0);
+    let offset = 12;
+    const labels = [];
+    while (message[offset]) {
+      labels.push(message.slice(offset + 1, offset + 1 + message[offset]).toString());
+      offset += message[offset] + 1;
+    }
+    offset++;
+    const qtype = message.readUInt16BE(offset);
+    offset += 4;
+
+    const question = message.slice(12, offset);
+    const records = zone[labels.join('.').toLowerCase()];
+    const answers = [];
+
+    if (records && qtype === 15) {
+      for (const [priority, exchange] of records.MX || []) {
+        const data = Buffer.concat([Buffer.from([priority >> 8, priority & 255]), encodeName(exchange)]);
+        answers.push(Buffer.concat([Buffer.from([0xc0, 12, 0, 15, 0, 1, 0, 0, 1, 0, data.length >> 8, data.length & 255]), data]));
+      }
+    }
+    if (records && qtype === 1) {
+      for (const ip of records.A || []) {
+        const data = Buffer.from(ip.split('.').map(Number));
+        answers.push(Buffer.concat([Buffer.from([0xc0, 12, 0, 1, 0, 1, 0, 0, 1, 0, 0, 4]), data]));
+      }
+    }
+
+    const header = Buffer.alloc(12);
+    header.writeUInt16BE(id, 0);
+    header.writeUInt16BE(0x8180 | (records ? 0 : 3), 2); // rcode 3 = NXDOMAIN
+    header.writeUInt16BE(1, 4);
+    header.writeUInt16BE(answers.length, 6);
+    socket.send(Buffer.concat([header, question, ...answers]), remote.port, remote.address);
+  });
+
+  await new Promise(resolve => socket.bind(0, '127.0.0.1', resolve));
+  socket.server = `127.0.0.1:${socket.address().port}`;
+  return socket;
+}
+
+// SMTP server that answers RCPT TO with rcptReply(localPart) -> "250 OK", "550 5.1.1 ..."
+export async function startSmtpStub(rcptReply) {
+  const sockets = new Set();
+  const server = net.createServer(socket => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.write('220 stub ESMTP\r\n');
+
+    let buffer = '';
+    socket.on('data', data => {
+      buffer += data;
+      let index;
+      while ((index = buffer.indexOf('\r\n')) >= 0) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (/^(EHLO|HELO)/i.test(line)) {
+          socket.write('250-stub\r\n250 PIPELINING\r\n');
+        } else if (/^MAIL FROM/i.test(line)) {
+          socket.write('250 OK\r\n');
+        } else if (/^RCPT TO/i.test(line)) {
+          const localPart = line.match(/<([^@>]*)@/)?.[1] || '';
+          socket.write(`${rcptReply(localPart)}\r\n`);
+        } else if (/^QUIT/i.test(line)) {
+          socket.end('221 bye\r\n');
+        }
+      }
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  server.port = server.address().port;
+  // Close lingering connections too, so the test process can exit
+  server.shutdown = () => {
+    for (const socket of sockets) socket.destroy();
+    return new Promise(resolve => server.close(resolve));
+  };
+  return server;
+}
+
+// Compare a column value with a filter value: numerically when both are numbers,
+// otherwise as strings (ISO timestamps sort correctly as strings)
+function compare(a, b) {
+  if (a === null || a === undefined) return NaN;
+  const [x, y] = [Number(a), Number(b)];
+  if (!isNaN(x) && !isNaN(y) && a !== '' && b !== '') return x - y;
+  return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+}
+
+const OPERATORS = {
+  eq: (a, b) => compare(a, b) === 0,
+  neq: (a, b) => !(compare(a, b) === 0),
+  gt: (a, b) => compare(a, b) > 0,
+  gte: (a, b) => compare(a, b) >= 0,
+  lt: (a, b) => compare(a, b) < 0,
+  lte: (a, b) => compare(a, b) <= 0,
+  is: (a, b) => (b === null || b === 'null') ? a === null || a === undefined : a === b
+};
+
+// Split "a,and(b,c),d" on the commas that are not inside parentheses
+function splitTopLevel(expression) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const char of expression) {
+    if (char === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    current += char;
+  }
+  if (current) parts.push(current);
+  return parts;
+}
+
+// PostgREST logic trees as passed to .or(): "and(status.eq.pending,attempts.lt.3),id.eq.7"
+function parseLogicTree(expression) {
+  const conditions = splitTopLevel(expression).map(part => {
+    const group = part.match(/^(and|or)\((.*)\)$/);
+    if (group) {
+      const children = splitTopLevel(group[2]).map(parseLogicTree);
+      return group[1] === 'and'
+        ? row => children.every(child => child(row))
+        : row => children.some(child => child(row));
+    }
+    const [column, operator, ...rest] = part.split('.');
+    const value = rest.join('.');
+    return row => OPERATORS[operator](row[column], value);
+  });
+  return row => conditions.some(condition => condition(row));
+}
+
+// In-memory stand-in for the supabase-js query builder, for services that accept a
+// config.supabaseClient. tables maps a table name to its rows. Queries are recorded in
+// stub.queries; tables named in stub.failing answer with an error.
+export function createSupabaseStub(tables = {}) {
+  const queries = [];
+  const failing = new Set();
+  let nextId = 1;
+
+  function from(table) {
+    tables[table] = tables[table] || [];
+    const filters = [];
+    const query = { table, op: 'select', payload: null, options: {}, returning: false };
+    let order = null;
+    let limit = null;
+    let range = null;
+    let single = null;
+
+    const run = () => {
+      queries.push({ table, op: query.op, payload: query.payload });
+      if (failing.has(table)) {
+        return { data: null, error: { message: `${table} unavailable`, code: 'STUB' } };
+      }
+
+      const rows = tables[table];
+      const matches = () => rows.filter(row => filters.every(filter => filter(row)));
+      let data;
+
+      if (query.op === 'insert' || query.op === 'upsert') {
+        const conflictColumns = (query.options.onConflict || '').split(',').filter(Boolean);
+        data = (Array.isArray(query.payload) ? query.payload : [query.payload]).map(values => {
+          const existing = query.op === 'upsert' && conflictColumns.length > 0 &&
+            rows.find(row => conflictColumns.every(column => row[column] === values[column]));
+          if (existing) {
+            return Object.assign(existing, values);
+          }
+          const row = { id: nextId++, ...values };
+          rows.push(row);
+          return row;
+        });
+      } else if (query.op === 'update') {
+        data = matches().map(row => Object.assign(row, query.payload));
+      } else if (query.op === 'delete') {
+        data = matches();
+        tables[table] = rows.filter(row => !data.includes(row));
+      } else {
+        data = matches();
+      }
+
+      if (order) {
+        const { column, ascending } = order;
+        data = [...data].sort((a, b) => (ascending ? 1 : -1) * (compare(a[column], b[column]) || 0));
+      }
+      if (range) data = data.slice(range[0], range[1] + 1);
+      if (limit !== null) data = data.slice(0, limit);
+      data = data.map(row => structuredClone(row));
+
+      if (query.op !== 'select' && !query.returning) {
+        data = null;
+      }
+      if (single) {
+        if (data.length === 1 || (data.length === 0 && single === 'maybe')) {
+          return { data: data[0] || null, error: null };
+        }
+        return { data: null, error: { message: `expected one row, got ${data.length}`, code: 'PGRST116' } };
+      }
+      return { data, error: null };
+    };
+
+    const builder = {
+      select() {
+        query.returning = true;
+        return builder;
+      },
+      insert(payload) { Object.assign(query, { op: 'insert', payload }); return builder; },
+      upsert(payload, options = {}) { Object.assign(query, { op: 'upsert', payload, options }); return builder; },
+      update(payload) { Object.assign(query, { op: 'update', payload }); return builder; },
+      delete() { query.op = 'delete'; return builder; },
+      in(column, values) {
+        filters.push(row => values.some(value => compare(row[column], value) === 0));
+        return builder;
+      },
+      or(expression) { filters.push(parseLogicTree(expression)); return builder; },
+      filter(column, operator, value) { filters.push(row => OPERATORS[operator](row[column], value)); return builder; },
+      order(column, { ascending = true } = {}) { order = { column, ascending }; return builder; },
+      limit(count) { limit = count; return builder; },
+      range(start, end) { range = [start, end]; return builder; },
+      single() { single = 'single'; return builder; },
+      maybeSingle() { single = 'maybe'; return builder; },
+      abortSignal() { return builder; },
+      then(resolve, reject) {
+        try {
+          resolve(run());
+        } catch (error) {
+          reject(error);
+        }
+      }
+    };
+    for (const operator of Object.keys(OPERATORS)) {
+      builder[operator] = (column, value) => {
+        filters.push(row => OPERATORS[operator](row[column], value));
+        return builder;
+      };
+    }
+    return builder;
+  }
+
+  return { from, tables, queries, failing };
+}
+
+// Supabase REST (PostgREST) server over the same in-memory tables, for modules that build
+// their own client from a URL. Supports the filters, ordering and single-row reads the
+// services use. Returns the server with .tables and .baseUrl.
+export async function startSupabaseHttpStub(tables = {}) {
+  const store = createSupabaseStub(tables);
+  const RESERVED = new Set(['select', 'order', 'limit', 'offset', 'or', 'on_conflict', 'columns']);
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', async () => {
+      const url = new URL(req.url, 'http://stub');
+      const table = url.pathname.replace(/^\/rest\/v1\//, '');
+      const prefer = req.headers.prefer || '';
+      const payload = body ? JSON.parse(body) : null;
+
+      let query = store.from(table);
+      if (req.method === 'POST') {
+        query = prefer.includes('resolution=merge-duplicates')
+          ? query.upsert(payload, { onConflict: url.searchParams.get('on_conflict') })
+          : query.insert(payload);
+      } else if (req.method === 'PATCH') {
+        query = query.update(payload);
+      } else if (req.method === 'DELETE') {
+        query = query.delete();
+      }
+      if (req.method === 'GET' || prefer.includes('return=representation')) {
+        query = query.select();
+      }
+
+      for (const [column, value] of url.searchParams) {
+        if (RESERVED.has(column)) continue;
+        const [operator, ...rest] = value.split('.');
+        const operand = rest.join('.');
+        query = operator === 'in'
+          ? query.in(column, operand.replace(/^\(|\)$/g, '').split(','))
+          : query[operator](column, operator === 'is' && operand === 'null' ? null : operand);
+      }
+      if (url.searchParams.has('or')) {
+        query = query.or(url.searchParams.get('or').replace(/^\(|\)$/g, ''));
+      }
+      if (url.searchParams.has('order')) {
+        const [column, direction] = url.searchParams.get('order').split('.');
+        query = query.order(column, { ascending: direction !== 'desc' });
+      }
+      if (url.searchParams.has('limit')) {
+        query = query.limit(Number(url.searchParams.get('limit')));
+      }
+
+      const { data, error } = await query;
+      res.setHeader('Content-Type', 'application/json');
+      if (error) {
+        res.writeHead(400).end(JSON.stringify(error));
+        return;
+      }
+
+      // Single-row reads ask for an object and get 406 unless exactly one row matched
+      if ((req.headers.accept || '').includes('vnd.pgrst.object+json')) {
+        if (data?.length !== 1) {
+          res.writeHead(406).end(JSON.stringify({
+            code: 'PGRST116',
+            details: `The result contains ${data?.length || 0} rows`,
+            message: 'JSON object requested, multiple (or no) rows returned'
+          }));
+          return;
+        }
+        res.writeHead(200).end(JSON.stringify(data[0]));
+        return;
+      }
+
+      res.writeHead(req.method === 'POST' ? 201 : 200).end(data === null ? '' : JSON.stringify(data));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  server.tables = store.tables;
+  server.queries = store.queries;
+  server.baseUrl = `http://127.0.0.1:${server.address().port}`;
+  return server;
+}
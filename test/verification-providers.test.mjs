@@ -0,0 +1,141 @@
+// test/verification-providers.test.mjs
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createVerificationProvider } from '../src/services/verification-providers/index.js';
+import { startHttpStub, silenceLogs } from './stubs.mjs';
+
+silenceLogs();
+
+// Canned API responses, keyed by provider and then by the local part of the address
+const RESPONSES = {
+  zerobounce: {
+    valid: { status: 'valid', sub_status: '' },
+    gone: { status: 'invalid', sub_status: 'mailbox_not_found' },
+    catchall: { status: 'catch-all', sub_status: '' },
+    unsure: { status: 'unknown', sub_status: 'timeout_exceeded' },
+    trap: { status: 'spamtrap', sub_status: '' },
+    complainer: { status: 'abuse', sub_status: '' },
+    suppressed: { status: 'do_not_mail', sub_status: 'global_suppression' },
+    typo: { status: 'invalid', sub_status: 'possible_typo', did_you_mean: 'typo@gmail.com' }
+  },
+  neverbounce: {
+    valid: { status: 'success', result: 'valid' },
+    gone: { status: 'success', result: 'invalid' },
+    burner: { status: 'success', result: 'disposable' },
+    catchall: { status: 'success', result: 'catchall' },
+    unsure: { status: 'success', result: 'unknown' },
+    typo: { status: 'success', result: 'invalid', suggested_correction: 'typo@gmail.com' },
+    throttled: { status: 'throttle_triggered', message: 'Too many requests' }
+  },
+  kickbox: {
+    valid: { success: true, result: 'deliverable', reason: 'accepted_email' },
+    gone: { success: true, result: 'undeliverable', reason: 'rejected_email' },
+    burner: { success: true, result: 'risky', reason: 'low_deliverability', disposable: true },
+    catchall: { success: true, result: 'risky', reason: 'low_deliverability', accept_all: true },
+    risky: { success: true, result: 'risky', reason: 'low_quality' },
+    unsure: { success: true, result: 'unknown', reason: 'timeout' },
+    typo: { success: true, result: 'undeliverable', reason: 'invalid_domain', did_you_mean: 'typo@gmail.com' }
+  }
+};
+
+const PATHS = {
+  '/v2/validate': 'zerobounce',
+  '/v4/single/check': 'neverbounce',
+  '/v2/verify': 'kickbox'
+};
+
+const api = await startHttpStub(req => {
+  const url = new URL(req.url, 'http://stub');
+  const provider = PATHS[url.pathname];
+  const localPart = (url.searchParams.get('email') || '').split('@')[0];
+  if (localPart === 'down') {
+    return { status: 503, body: { message: 'Service unavailable' } };
+  }
+  return { status: 200, body: RESPONSES[provider]?.[localPart] || {} };
+});
+after(() => api.close());
+
+function verify(name, localPart) {
+  const provider = createVerificationProvider(name, {
+    apiKey: 'test-key',
+    baseUrl: api.baseUrl,
+    maxRetries: 0
+  });
+  return provider.verify(`${localPart}@example.com`);
+}
+
+// [local part, status, subStatus, recheckNeeded, isCatchAll]
+const EXPECTED = {
+  zerobounce: [
+    ['valid', 'valid', null, false, false],
+    ['gone', 'invalid', 'mailbox_not_found', false, false],
+    ['catchall', 'unknown', 'catch_all', false, true],
+    ['unsure', 'unknown', null, true, false],
+    ['trap', 'invalid', 'spamtrap', false, false],
+    ['complainer', 'invalid', 'abuse', false, false],
+    ['suppressed', 'unknown', 'do_not_mail', false, false]
+  ],
+  neverbounce: [
+    ['valid', 'valid', null, false, false],
+    ['gone', 'invalid', 'mailbox_not_found', false, false],
+    ['burner', 'invalid', 'disposable', false, false],
+    ['catchall', 'unknown', 'catch_all', false, true],
+    ['unsure', 'unknown', null, true, false]
+  ],
+  kickbox: [
+    ['valid', 'valid', null, false, false],
+    ['gone', 'invalid', 'rejected_email', false, false],
+    ['burner', 'invalid', 'disposable', false, false],
+    ['catchall', 'unknown', 'catch_all', false, true],
+    ['risky', 'unknown', 'low_quality', true, false],
+    ['unsure', 'unknown', 'timeout', true, false]
+  ]
+};
+
+for (const [name, cases] of Object.entries(EXPECTED)) {
+  for (const [localPart, status, subStatus, recheckNeeded, isCatchAll] of cases) {
+    test(`${name} ${localPart} normalizes to ${status}${subStatus ? ` / ${subStatus}` : ''}`, async () => {
+      const result = await verify(name, localPart);
+
+      assert.equal(result.provider, name);
+      assert.equal(result.status, status);
+      assert.equal(result.subStatus, subStatus);
+      assert.equal(result.recheckNeeded, recheckNeeded);
+      assert.equal(result.isCatchAll, isCatchAll);
+      assert.deepEqual(result.raw, RESPONSES[name][localPart]);
+    });
+  }
+
+  test(`${name} passes the provider's suggestion through`, async () => {
+    const result = await verify(name, 'typo');
+    assert.equal(result.suggestion, 'typo@gmail.com');
+  });
+
+  test(`${name} HTTP failure is check_failed`, async () => {
+    const result = await verify(name, 'down');
+
+    assert.equal(result.status, 'check_failed');
+    assert.equal(result.recheckNeeded, true);
+    assert.equal(result.cost, 0);
+  });
+}
+
+test('unknown results are free on ZeroBounce and Kickbox', async () => {
+  assert.equal((await verify('zerobounce', 'unsure')).cost, 0);
+  assert.equal((await verify('kickbox', 'unsure')).cost, 0);
+  assert.equal((await verify('neverbounce', 'unsure')).cost, 1);
+});
+
+test('NeverBounce errors reported in a 200 body are check_failed', async () => {
+  const result = await verify('neverbounce', 'throttled');
+  assert.equal(result.status, 'check_failed');
+  assert.match(result.error, /Too many requests/);
+});
+
+test('an unconfigured provider skips the check without a request', async () => {
+  const before = api.requests.length;
+  const result = await createVerificationProvider('kickbox', { baseUrl: api.baseUrl }).verify('valid@example.com');
+
+  assert.equal(result.status, 'check_skipped');
+  assert.equal(api.requests.length, before);
+});
@@ -0,0 +1,93 @@
+// test/webhook-idempotency.test.mjs
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { WebhookIdempotencyService } from '../src/services/webhook-idempotency.js';
+import { createSupabaseStub, startHttpStub, startSupabaseHttpStub, silenceLogs } from './stubs.mjs';
+
+silenceLogs();
+
+// Two services on one stub stand in for two warm instances sharing Supabase
+function createInstances() {
+  const stub = createSupabaseStub({ webhook_processed_events: [], hubspot_writebacks: [] });
+  const create = () => new WebhookIdempotencyService({ supabaseClient: stub });
+  return [create(), create()];
+}
+
+const delivery = { eventId: 42, attemptNumber: 0, objectId: 101, subscriptionType: 'contact.creation' };
+
+test('a delivery is processed once, on any instance', async () => {
+  const [first, second] = createInstances();
+  assert.equal((await first.checkEvent(delivery)).skip, false);
+  await first.recordProcessed(delivery);
+
+  const again = await first.checkEvent(delivery);
+  assert.equal(again.skip, true);
+  assert.equal(again.reason, 'duplicate_delivery');
+
+  const elsewhere = await second.checkEvent(delivery);
+  assert.equal(elsewhere.reason, 'duplicate_delivery');
+});
+
+test('HubSpot retries of an event carry a new attempt number and are processed', async () => {
+  const [service] = createInstances();
+  await service.recordProcessed(delivery);
+
+  assert.equal((await service.checkEvent({ ...delivery, attemptNumber: 1 })).skip, false);
+});
+
+test('the propertyChange echoing our own write-back is skipped', async () => {
+  const [first, second] = createInstances();
+  await first.recordWriteback(101, 'Jane@Gmail.com');
+
+  const echo = {
+    eventId: 43,
+    objectId: 101,
+    subscriptionType: 'contact.propertyChange',
+    propertyName: 'email',
+    propertyValue: 'jane@gmail.com'
+  };
+  assert.equal((await first.checkEvent(echo)).reason, 'self_triggered_update');
+  assert.equal((await second.checkEvent(echo)).reason, 'self_triggered_update');
+
+  // A user changing the address afterwards is a real change
+  assert.equal((await second.checkEvent({ ...echo, eventId: 44, propertyValue: 'jane@work.com' })).skip, false);
+});
+
+test('webhook processing skips redeliveries and the echo of its own correction', async () => {
+  const supabase = await startSupabaseHttpStub({ webhook_processed_events: [], hubspot_writebacks: [] });
+  const hubspot = await startHttpStub(req => ({ status: 200, body: { id: req.url.split('/').pop() } }));
+  after(() => {
+    supabase.close();
+    hubspot.close();
+  });
+
+  Object.assign(process.env, {
+    SUPABASE_URL: supabase.baseUrl,
+    SUPABASE_SERVICE_ROLE_KEY: 'test-service-key',
+    HUBSPOT_API_KEY: 'test-hubspot-key',
+    HUBSPOT_API_BASE_URL: hubspot.baseUrl,
+    USE_REDIS: 'false'
+  });
+  const { processQueuedWebhookEvent } = await import('../api/webhooks/hubspot.js');
+
+  const typo = {
+    eventId: 50,
+    attemptNumber: 0,
+    objectId: 201,
+    subscriptionType: 'contact.propertyChange',
+    propertyName: 'email',
+    propertyValue: 'jane@gmial.com'
+  };
+
+  const processed = await processQueuedWebhookEvent(typo);
+  assert.equal(processed.updateResult.success, true);
+  assert.equal(processed.updateResult.properties.email, 'jane@gmail.com');
+  assert.equal(hubspot.requests.length, 1);
+
+  const redelivered = await processQueuedWebhookEvent(typo);
+  assert.equal(redelivered.reason, 'duplicate_delivery');
+
+  const echo = await processQueuedWebhookEvent({ ...typo, eventId: 51, propertyValue: 'jane@gmail.com' });
+  assert.equal(echo.reason, 'self_triggered_update');
+  assert.equal(hubspot.requests.length, 1);
+});
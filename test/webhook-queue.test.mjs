@@ -0,0 +1,103 @@
+// test/webhook-queue.test.mjs
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WebhookQueueService } from '../src/services/webhook-queue.js';
+import { createSupabaseStub, silenceLogs } from './stubs.mjs';
+
+silenceLogs();
+
+function createQueue(webhookQueue = {}) {
+  const stub = createSupabaseStub({ webhook_queue: [] });
+  const queue = new WebhookQueueService({
+    supabaseClient: stub,
+    webhookQueue: { maxAttempts: 3, baseBackoffMs: 1000, ...webhookQueue }
+  });
+  return { queue, rows: () => stub.tables.webhook_queue };
+}
+
+const event = (eventId, objectId = 101) => ({ eventId, objectId, subscriptionType: 'contact.creation' });
+
+test('due items are claimed once and their attempt is counted', async () => {
+  const { queue, rows } = createQueue();
+  const { ids } = await queue.enqueue([event(1), event(2)]);
+  assert.equal(ids.length, 2);
+
+  const claimed = await queue.claimDue(10);
+  assert.deepEqual(claimed.map(item => item.event_id), ['1', '2']);
+  assert.ok(claimed.every(item => item.status === 'processing' && item.attempts === 1));
+
+  // A second consumer finds nothing to claim while the items are locked
+  assert.deepEqual(await queue.claimDue(10), []);
+  assert.equal(rows().length, 2);
+});
+
+test('items still waiting for their retry are not claimed', async () => {
+  const { queue, rows } = createQueue();
+  await queue.enqueue(event(1));
+  rows()[0].next_attempt_at = new Date(Date.now() + 60000).toISOString();
+
+  assert.deepEqual(await queue.claimDue(10), []);
+});
+
+test('items locked by a consumer that died are reclaimed', async () => {
+  const { queue, rows } = createQueue({ lockTimeoutMs: 1000 });
+  await queue.enqueue(event(1));
+  await queue.claimDue(10);
+  rows()[0].locked_at = new Date(Date.now() - 5000).toISOString();
+
+  const [reclaimed] = await queue.claimDue(10);
+  assert.equal(reclaimed.attempts, 2);
+});
+
+test('failures back off exponentially until the item is dead-lettered', async () => {
+  const { queue, rows } = createQueue();
+  await queue.enqueue(event(1));
+  const delays = [];
+
+  for (let attempt = 1; attempt <= 3; attempt++) {
+    rows()[0].next_attempt_at = new Date(0).toISOString();
+    const [item] = await queue.claimDue(10);
+    assert.equal(item.attempts, attempt);
+
+    const before = Date.now();
+    const failure = await queue.markFailed(item, 'HubSpot unavailable');
+    if (failure.status === 'pending') {
+      delays.push(Math.round((Date.parse(failure.nextAttemptAt) - before) / 1000));
+    } else {
+      assert.equal(attempt, 3);
+      assert.equal(failure.status, 'dead_letter');
+    }
+  }
+
+  assert.deepEqual(delays, [1, 2]);
+  assert.equal(rows()[0].status, 'dead_letter');
+  assert.equal(rows()[0].last_error, 'HubSpot unavailable');
+});
+
+test('a failure that retrying cannot fix is dead-lettered straight away', async () => {
+  const { queue } = createQueue();
+  await queue.enqueue(event(1));
+  const [item] = await queue.claimDue(10);
+
+  const failure = await queue.markFailed(item, 'not_configured', { retry: false });
+  assert.equal(failure.status, 'dead_letter');
+  assert.equal(item.attempts, 1);
+});
+
+test('dead letters are listed and replayed with a fresh retry budget', async () => {
+  const { queue } = createQueue();
+  await queue.enqueue([event(1), event(2)]);
+  const [first] = await queue.claimDue(1);
+  await queue.markFailed(first, 'not_configured', { retry: false });
+
+  const { items } = await queue.listDeadLetters();
+  assert.deepEqual(items.map(item => item.id), [first.id]);
+
+  const { replayed } = await queue.replayDeadLetters([first.id, 999]);
+  assert.deepEqual(replayed, [first.id]);
+
+  const reclaimed = await queue.claimDue(10);
+  const again = reclaimed.find(item => item.id === first.id);
+  assert.equal(again.attempts, 1);
+  assert.equal((await queue.listDeadLetters()).items.length, 0);
+});